@@ -6,20 +6,28 @@ import { pipeline } from "stream/promises";
 import { tmpdir } from "os";
 import { join } from "path";
 import { unlink } from "fs/promises";
+import { v4 as uuidv4 } from "uuid";
 import {
   TEXT_ANALYSIS_PROMPT,
   IMAGE_ANALYSIS_PROMPT,
   VIDEO_FRAME_PROMPT,
 } from "./prompts.js";
 import { workerLogger } from "../core/logger.js";
+import config from "../config/index.js";
+import { RateLimiter } from "../core/rateLimiter.js";
 import { validateHook } from "./hookValidator.js"; // 🔧 HOOK VALIDATOR — added import
 
 export class AdAnalyzer {
-  constructor(apiKey) {
+  // signal: optional AbortSignal, aborts in-flight OpenAI requests when the job is cancelled
+  constructor(apiKey, signal = null) {
     this.apiKey = apiKey;
-    this.client = new OpenAI({ apiKey });
+    this.signal = signal;
+    this.client = new OpenAI({ apiKey, maxRetries: config.OPENAI_MAX_RETRIES });
+    this.limiter = new RateLimiter("openai", config.OPENAI_REQUESTS_PER_MINUTE);
     this.totalTokens = 0;
     this.totalCost = 0.0;
+    // Billed Whisper audio, used for the per-page cost stats
+    this.whisperSeconds = 0;
   }
 
   _parseJsonResponse(content) {
@@ -46,6 +54,9 @@ export class AdAnalyzer {
       workerLogger.warn("[Analyzer] No OpenAI API key provided");
       return ad;
     }
+    if (this.signal && this.signal.aborted) {
+      return ad;
+    }
 
     try {
       // Apify returns data in snapshot format, so check both formats
@@ -195,6 +206,7 @@ export class AdAnalyzer {
       .replace("{cta_type}", ctaType);
 
     try {
+      await this.limiter.acquire(this.signal);
       const response = await this.client.chat.completions.create({
         model: "gpt-4o-mini",
         messages: [
@@ -207,7 +219,7 @@ export class AdAnalyzer {
         ],
         max_tokens: 2000,
         temperature: 0.3,
-      });
+      }, { signal: this.signal });
 
       this.totalTokens += response.usage.total_tokens;
       const content = response.choices[0].message.content;
@@ -238,6 +250,7 @@ export class AdAnalyzer {
     ).replace("{cta_text}", ctaText);
 
     try {
+      await this.limiter.acquire(this.signal);
       const response = await this.client.chat.completions.create({
         model: "gpt-4o-mini",
         messages: [
@@ -256,7 +269,7 @@ export class AdAnalyzer {
         ],
         max_tokens: 2000,
         temperature: 0.3,
-      });
+      }, { signal: this.signal });
 
       this.totalTokens += response.usage.total_tokens;
       const content = response.choices[0].message.content;
@@ -371,6 +384,7 @@ export class AdAnalyzer {
         brandName,
       ).replace("{transcript}", transcript);
 
+      await this.limiter.acquire(this.signal);
       const response = await this.client.chat.completions.create({
         model: "gpt-4o-mini",
         messages: [
@@ -383,7 +397,7 @@ export class AdAnalyzer {
         ],
         max_tokens: 2000,
         temperature: 0.3,
-      });
+      }, { signal: this.signal });
 
       this.totalTokens += response.usage.total_tokens;
       const content = response.choices[0].message.content;
@@ -448,22 +462,25 @@ export class AdAnalyzer {
   }
 
   async _transcribeAudio(videoUrl) {
+    // Unique per call, several ads are transcribed at once
+    const tempFile = join(tmpdir(), `video_${uuidv4()}.mp4`);
     try {
       // Download video to temp file
-      const tempFile = join(tmpdir(), `video_${Date.now()}.mp4`);
-      const response = await axios.get(videoUrl, { responseType: "stream" });
+      const response = await axios.get(videoUrl, {
+        responseType: "stream",
+        signal: this.signal,
+      });
       await pipeline(response.data, createWriteStream(tempFile));
 
       // Transcribe using Whisper with verbose_json to get no_speech detection
+      await this.limiter.acquire(this.signal);
       const transcription = await this.client.audio.transcriptions.create({
         file: createReadStream(tempFile),
         model: "whisper-1",
         response_format: "verbose_json",
         temperature: 0, // More deterministic, less hallucination
-      });
-
-      // Cleanup temp file
-      await unlink(tempFile);
+      }, { signal: this.signal });
+      this.whisperSeconds += transcription.duration || 0;
 
       // Check if there's actually speech in the audio
       // verbose_json returns segments with no_speech_prob
@@ -520,6 +537,9 @@ export class AdAnalyzer {
     } catch (error) {
       workerLogger.error(`[Analyzer] Transcription error: ${error.message}`);
       return null;
+    } finally {
+      // Cleanup temp file, also when the download or transcription failed
+      await unlink(tempFile).catch(() => {});
     }
   }
 
@@ -1,7 +1,7 @@
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { existsSync, mkdirSync } from 'fs';
+import { existsSync, mkdirSync, readFileSync } from 'fs';
 
 dotenv.config();
 
@@ -9,6 +9,8 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const rootDir = join(__dirname, '../..');
 
+const packageJson = JSON.parse(readFileSync(join(rootDir, 'package.json'), 'utf-8'));
+
 // Ensure data directory exists
 const dataDir = join(rootDir, 'data');
 if (!existsSync(dataDir)) {
@@ -18,11 +20,22 @@ if (!existsSync(dataDir)) {
 export const config = {
   // App
   APP_NAME: process.env.APP_NAME || 'Spider',
+  APP_VERSION: process.env.APP_VERSION || packageJson.version,
   DEBUG: process.env.DEBUG === 'true',
   
+  // Where ads come from: 'apify', or 'fixture' to replay the JSON files in FIXTURE_DIR offline
+  SCRAPER_PROVIDER: process.env.SCRAPER_PROVIDER || 'apify',
+  FIXTURE_DIR: process.env.FIXTURE_DIR || dataDir,
+
   // Apify
   APIFY_API_TOKEN: process.env.APIFY_API_TOKEN || '',
   APIFY_ACTOR_ID: process.env.APIFY_ACTOR_ID || 'XtaWFhbtfxyzqrFmd',
+  // Queued page jobs with the same filters share one actor run of up to this many pages, 1 disables it
+  APIFY_BATCH_SIZE: parseInt(process.env.APIFY_BATCH_SIZE || '5', 10),
+  // Dataset items read per request, ads reach the analyze stage one page at a time
+  APIFY_DATASET_PAGE_SIZE: parseInt(process.env.APIFY_DATASET_PAGE_SIZE || '100', 10),
+  // Stored ads the persist stage reads back, writes to JSON and saves to the database at a time
+  PERSIST_CHUNK_SIZE: parseInt(process.env.PERSIST_CHUNK_SIZE || '100', 10),
   
   // Supabase
   SUPABASE_URL: process.env.SUPABASE_URL || '',
@@ -30,6 +43,15 @@ export const config = {
   
   // OpenAI
   OPENAI_API_KEY: process.env.OPENAI_API_KEY || '',
+  // Shared across all workers, 0 disables the limit
+  OPENAI_REQUESTS_PER_MINUTE: parseInt(process.env.OPENAI_REQUESTS_PER_MINUTE || '300', 10),
+  // Retries on 429s and transient errors, honouring OpenAI's retry-after
+  OPENAI_MAX_RETRIES: parseInt(process.env.OPENAI_MAX_RETRIES || '4', 10),
+
+  // Prices for POST /api/jobs/estimate, the Apify one only until a page has measured run costs
+  APIFY_USD_PER_1000_ADS: parseFloat(process.env.APIFY_USD_PER_1000_ADS || '5'),
+  OPENAI_USD_PER_1M_TOKENS: parseFloat(process.env.OPENAI_USD_PER_1M_TOKENS || '0.3'),
+  OPENAI_WHISPER_USD_PER_MINUTE: parseFloat(process.env.OPENAI_WHISPER_USD_PER_MINUTE || '0.006'),
   
   // Redis
   REDIS_HOST: process.env.REDIS_HOST || 'localhost',
@@ -43,7 +65,47 @@ export const config = {
   
   // Worker
   MAX_WORKERS: parseInt(process.env.MAX_WORKERS || '5', 10),
+  // Per-stage concurrency, scrape slots default to MAX_WORKERS
+  SCRAPE_WORKERS: parseInt(process.env.SCRAPE_WORKERS || process.env.MAX_WORKERS || '5', 10),
   ANALYSIS_WORKERS: parseInt(process.env.ANALYSIS_WORKERS || '10', 10),
+  PERSIST_WORKERS: parseInt(process.env.PERSIST_WORKERS || '2', 10),
+  // Stages this worker process takes work from, e.g. "analyze" for a dedicated analysis worker
+  WORKER_STAGES: (process.env.WORKER_STAGES || 'scrape,analyze,persist')
+    .split(',')
+    .map((stage) => stage.trim())
+    .filter(Boolean),
+  WORKER_HEARTBEAT_INTERVAL_MS: parseInt(process.env.WORKER_HEARTBEAT_INTERVAL_MS || '10000', 10),
+  WORKER_HEARTBEAT_TTL_MS: parseInt(process.env.WORKER_HEARTBEAT_TTL_MS || '30000', 10),
+  ORPHAN_CHECK_INTERVAL_MS: parseInt(process.env.ORPHAN_CHECK_INTERVAL_MS || '30000', 10),
+  CANCEL_CHECK_INTERVAL_MS: parseInt(process.env.CANCEL_CHECK_INTERVAL_MS || '2000', 10),
+  // Log lines kept per job in Redis, oldest dropped first
+  JOB_LOG_MAX_LINES: parseInt(process.env.JOB_LOG_MAX_LINES || '500', 10),
+  WORKER_DRAIN_TIMEOUT_MS: parseInt(process.env.WORKER_DRAIN_TIMEOUT_MS || '60000', 10),
+
+  // Job retries
+  JOB_MAX_ATTEMPTS: parseInt(process.env.JOB_MAX_ATTEMPTS || '3', 10),
+  JOB_MAX_ATTEMPTS_LIMIT: parseInt(process.env.JOB_MAX_ATTEMPTS_LIMIT || '10', 10),
+  JOB_RETRY_BACKOFF_MS: parseInt(process.env.JOB_RETRY_BACKOFF_MS || '60000', 10),
+  JOB_RETRY_MAX_BACKOFF_MS: parseInt(process.env.JOB_RETRY_MAX_BACKOFF_MS || '1800000', 10),
+
+  // Webhooks
+  WEBHOOK_MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10),
+  WEBHOOK_RETRY_BACKOFF_MS: parseInt(process.env.WEBHOOK_RETRY_BACKOFF_MS || '30000', 10),
+  WEBHOOK_RETRY_MAX_BACKOFF_MS: parseInt(process.env.WEBHOOK_RETRY_MAX_BACKOFF_MS || '3600000', 10),
+  WEBHOOK_TIMEOUT_MS: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10),
+  // Callbacks to localhost and private networks are refused unless this is set (local development)
+  WEBHOOK_ALLOW_PRIVATE_HOSTS: process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true',
+
+  // Scheduler
+  SCHEDULER_INTERVAL_MS: parseInt(process.env.SCHEDULER_INTERVAL_MS || '30000', 10),
+  SCHEDULER_LOCK_TTL_MS: parseInt(process.env.SCHEDULER_LOCK_TTL_MS || '60000', 10),
+
+  // Job history: finished jobs older than JOB_RETENTION_DAYS move out of Redis (0 keeps them forever)
+  JOB_RETENTION_DAYS: parseInt(process.env.JOB_RETENTION_DAYS || '7', 10),
+  // 'file' writes JSONL under JOB_ARCHIVE_DIR, 'supabase' needs the job_history table from the README
+  JOB_ARCHIVE_BACKEND: process.env.JOB_ARCHIVE_BACKEND || 'file',
+  JOB_ARCHIVE_DIR: process.env.JOB_ARCHIVE_DIR || join(dataDir, 'history'),
+  JOB_ARCHIVE_INTERVAL_MS: parseInt(process.env.JOB_ARCHIVE_INTERVAL_MS || '3600000', 10),
   
   // Server
   PORT: parseInt(process.env.PORT || '8000', 10),
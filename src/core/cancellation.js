@@ -0,0 +1,19 @@
+// AbortSignal reason used when a job is stopped because its worker is shutting down,
+// as opposed to being cancelled through the API
+export const SHUTDOWN_REASON = 'worker_shutdown';
+
+// Thrown by pipeline stages when the job's AbortSignal fires
+export class JobCancelledError extends Error {
+  constructor(message = 'Job was cancelled') {
+    super(message);
+    this.name = 'JobCancelledError';
+  }
+}
+
+export function throwIfCancelled(signal) {
+  if (signal && signal.aborted) {
+    throw new JobCancelledError();
+  }
+}
+
+export default { SHUTDOWN_REASON, JobCancelledError, throwIfCancelled };
@@ -0,0 +1,130 @@
+import config from '../config/index.js';
+import {
+  readAdLibraryUrlFilters,
+  resolvePageTarget,
+  withDefaultFilters,
+  validatePeriod,
+} from '../scraper/adLibrary.js';
+import { normalizeRetryPolicy } from './retry.js';
+
+// Columns that can name the page to scrape, the first non-empty one is used
+const TARGET_COLUMNS = ['page_id', 'url', 'page_url', 'page'];
+
+// Other spellings accepted for the per-row option columns
+const COLUMN_ALIASES = {
+  max_ads: 'max_ads_per_page',
+  start_date: 'start_date_formatted',
+  end_date: 'end_date_formatted',
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// "Max Ads", " max_ads" and a BOM-prefixed first header all map to the same column
+export function normalizeCsvHeader(header) {
+  const name = header.replace(/^\uFEFF/, '').trim().toLowerCase().replace(/\s+/g, '_');
+  return COLUMN_ALIASES[name] || name;
+}
+
+function cell(row, column) {
+  const value = row[column];
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+function isValidDate(value) {
+  return DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+// Validates one CSV row. Cells left empty fall back to the upload's defaults
+// (max_ads_per_page, period, start_date_formatted, end_date_formatted, analysis_mode).
+// A max_attempts cell overrides the attempts of the upload's retry policy (defaults.retry).
+// values.filters are the filters of the row's Ad Library URL with the upload's filters on top.
+// Returns { values, errors }, errors is empty for a valid row.
+export function parseCsvRow(row, defaults) {
+  const errors = [];
+  const values = {};
+
+  const target = TARGET_COLUMNS.map((column) => cell(row, column)).find(Boolean);
+  if (!target) {
+    errors.push(`Missing page: set one of ${TARGET_COLUMNS.join(', ')}`);
+  } else {
+    const resolved = resolvePageTarget(target);
+    if (resolved.error) {
+      errors.push(resolved.error);
+    } else {
+      values.page_id = resolved.page_id;
+      values.url = resolved.url;
+      values.filters = { ...readAdLibraryUrlFilters(resolved.url), ...defaults.filters };
+    }
+  }
+
+  const rowMaxAds = cell(row, 'max_ads_per_page');
+  const maxAds = rowMaxAds !== null ? parseInt(rowMaxAds, 10) : defaults.max_ads_per_page;
+  if (Number.isNaN(maxAds) || maxAds < 1 || (rowMaxAds !== null && !/^\d+$/.test(rowMaxAds))) {
+    errors.push(`max_ads_per_page must be a positive number, got "${rowMaxAds}"`);
+  }
+  values.max_ads = maxAds;
+
+  // Dates set on the row replace an upload-wide period, which would otherwise take precedence
+  const rowStart = cell(row, 'start_date_formatted');
+  const rowEnd = cell(row, 'end_date_formatted');
+  const rowPeriod = cell(row, 'period');
+  const rowHasDates = rowStart !== null || rowEnd !== null;
+  values.start_date_formatted = rowStart || (rowHasDates ? null : defaults.start_date_formatted || null);
+  values.end_date_formatted = rowEnd || (rowHasDates ? null : defaults.end_date_formatted || null);
+  values.period = rowPeriod || (rowHasDates ? null : defaults.period || null);
+  const periodError = validatePeriod(rowPeriod);
+  if (periodError) {
+    errors.push(periodError);
+  }
+
+  for (const field of ['start_date_formatted', 'end_date_formatted']) {
+    if (values[field] && !isValidDate(values[field])) {
+      errors.push(`${field} must be a YYYY-MM-DD date, got "${values[field]}"`);
+    }
+  }
+  if (
+    values.start_date_formatted &&
+    values.end_date_formatted &&
+    isValidDate(values.start_date_formatted) &&
+    isValidDate(values.end_date_formatted) &&
+    values.start_date_formatted > values.end_date_formatted
+  ) {
+    errors.push('start_date_formatted is after end_date_formatted');
+  }
+
+  // Same rule as POST /api/jobs: the ads limit doesn't apply to date-filtered scrapes
+  if (!values.start_date_formatted && !values.end_date_formatted && maxAds > config.MAX_ADS_PER_BRAND) {
+    errors.push(`Maximum ${config.MAX_ADS_PER_BRAND} ads per page allowed`);
+  }
+
+  values.analysis_mode = cell(row, 'analysis_mode') || defaults.analysis_mode || 'balanced';
+
+  const rowMaxAttempts = cell(row, 'max_attempts');
+  if (rowMaxAttempts !== null && !/^\d+$/.test(rowMaxAttempts)) {
+    errors.push(`max_attempts must be a positive number, got "${rowMaxAttempts}"`);
+  } else {
+    const retry = rowMaxAttempts !== null ? { ...defaults.retry, max_attempts: rowMaxAttempts } : defaults.retry;
+    const { policy, error } = normalizeRetryPolicy(retry);
+    if (error) {
+      errors.push(error);
+    }
+    values.retry_policy = policy;
+  }
+
+  return { values, errors };
+}
+
+// Rows asking for the same scrape, as JobManager would coalesce them
+export function csvRowKey(values) {
+  return JSON.stringify([
+    values.page_id,
+    values.period,
+    values.start_date_formatted,
+    values.end_date_formatted,
+    values.max_ads,
+    values.analysis_mode,
+    withDefaultFilters(values.filters),
+  ]);
+}
+
+export default { normalizeCsvHeader, parseCsvRow, csvRowKey };
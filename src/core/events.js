@@ -0,0 +1,68 @@
+import { EventEmitter } from 'events';
+import { getRedisClient, JOB_EVENTS_CHANNEL } from './redis.js';
+import { apiLogger } from './logger.js';
+
+// One Redis subscription per API process, fanned out to every SSE client
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+let subscriber = null;
+let subscribing = null;
+
+async function ensureSubscribed() {
+  if (subscriber && subscriber.isOpen) {
+    return true;
+  }
+  if (subscribing) {
+    return subscribing;
+  }
+
+  subscribing = (async () => {
+    try {
+      const client = await getRedisClient();
+      if (!client) {
+        return false;
+      }
+
+      // A client in subscriber mode can't run other commands, so it needs its own connection
+      subscriber = client.duplicate();
+      subscriber.on('error', (err) => {
+        apiLogger.error(`[Events] Redis subscriber error: ${err.message}`);
+      });
+      subscriber.on('end', () => {
+        subscriber = null;
+      });
+
+      await subscriber.connect();
+      await subscriber.subscribe(JOB_EVENTS_CHANNEL, (message) => {
+        try {
+          emitter.emit('job', JSON.parse(message));
+        } catch (error) {
+          apiLogger.warn(`[Events] Ignoring malformed job event: ${error.message}`);
+        }
+      });
+      return true;
+    } catch (error) {
+      apiLogger.error(`[Events] Failed to subscribe to job events: ${error.message}`);
+      subscriber = null;
+      return false;
+    } finally {
+      subscribing = null;
+    }
+  })();
+
+  return subscribing;
+}
+
+// Calls listener(event) for every job event, returns an unsubscribe function
+export async function subscribeToJobEvents(listener) {
+  const subscribed = await ensureSubscribed();
+  if (!subscribed) {
+    return null;
+  }
+
+  emitter.on('job', listener);
+  return () => emitter.off('job', listener);
+}
+
+export default { subscribeToJobEvents };
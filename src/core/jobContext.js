@@ -0,0 +1,14 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Job the current async call chain is working on: { job_id, stage }
+const storage = new AsyncLocalStorage();
+
+export function runWithJobContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+export function getJobContext() {
+  return storage.getStore() || null;
+}
+
+export default { runWithJobContext, getJobContext };
@@ -0,0 +1,25 @@
+import { getRedisClient } from './redis.js';
+import { jobLogKey } from './logger.js';
+
+// npm levels, most severe first
+export const JOB_LOG_LEVELS = ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'];
+
+// Lines captured by the job log transport, oldest first. level keeps that level and
+// anything more severe, limit keeps the newest lines.
+export async function getJobLogs(job_id, { level = null, stage = null, limit = 200 } = {}) {
+  const redis = await getRedisClient();
+  if (!redis) {
+    return { total: 0, logs: [] };
+  }
+
+  const lines = await redis.lRange(jobLogKey(job_id), 0, -1);
+  const maxSeverity = level ? JOB_LOG_LEVELS.indexOf(level) : JOB_LOG_LEVELS.length - 1;
+  const logs = lines
+    .map((line) => JSON.parse(line))
+    .filter((entry) => JOB_LOG_LEVELS.indexOf(entry.level) <= maxSeverity)
+    .filter((entry) => !stage || entry.stage === stage);
+
+  return { total: lines.length, logs: logs.slice(-limit) };
+}
+
+export default { getJobLogs, JOB_LOG_LEVELS };
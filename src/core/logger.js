@@ -1,9 +1,13 @@
 import winston from 'winston';
+import Transport from 'winston-transport';
 import DailyRotateFile from 'winston-daily-rotate-file';
 import { existsSync, mkdirSync } from 'fs';
 import { join } from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import config from '../config/index.js';
+import { getJobContext } from './jobContext.js';
+import { getConnectedRedisClient } from './redis.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -15,8 +19,49 @@ if (!existsSync(logsDir)) {
   mkdirSync(logsDir, { recursive: true });
 }
 
+// Tags lines logged while a job is being processed with its job_id and stage
+const jobContextFormat = winston.format((info) => {
+  const context = getJobContext();
+  if (context) {
+    info.job_id = context.job_id;
+    if (context.stage) {
+      info.stage = context.stage;
+    }
+  }
+  return info;
+});
+
+export function jobLogKey(job_id) {
+  return `spider:job:${job_id}:logs`;
+}
+
+// Copies lines tagged with a job_id into a capped Redis list per job (read by getJobLogs).
+// Never reconnects or logs itself, so a Redis outage can't turn into a logging loop.
+class JobLogTransport extends Transport {
+  log(info, callback) {
+    const redis = info.job_id ? getConnectedRedisClient() : null;
+    if (redis) {
+      const key = jobLogKey(info.job_id);
+      const entry = JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: info.level,
+        stage: info.stage || null,
+        message: info.message,
+      });
+      redis
+        .multi()
+        .rPush(key, entry)
+        .lTrim(key, -config.JOB_LOG_MAX_LINES, -1)
+        .exec()
+        .catch(() => {});
+    }
+    callback();
+  }
+}
+
 // Custom format
 const logFormat = winston.format.combine(
+  jobContextFormat(),
   winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
   winston.format.errors({ stack: true }),
   winston.format.printf(({ timestamp, level, message, ...meta }) => {
@@ -62,6 +107,8 @@ export function createLogger(name, logFile) {
       level: 'error',
       format: logFormat,
     }),
+    // Per-job copy in Redis for GET /api/jobs/:jobId/logs
+    new JobLogTransport({ level: 'debug' }),
   ];
 
   return winston.createLogger({
@@ -0,0 +1,244 @@
+import config from '../config/index.js';
+import { getRedisClient } from './redis.js';
+
+// Used until a page (or any page) has completed jobs to learn from
+const DEFAULT_PROFILE = {
+  fill_rate: 1,
+  video_share: 0.4,
+  image_share: 0.5,
+  tokens_per_analyzed_ad: 2500,
+  whisper_seconds_per_video: 30,
+  scrape_ms_per_ad: 600,
+  analysis_ms_per_ad: 8000,
+  persist_ms_per_ad: 300,
+};
+
+// Counters kept per page, all summed over completed jobs
+const COUNTER_FIELDS = [
+  'jobs',
+  'ads_requested',
+  'ads',
+  'video_ads',
+  'image_ads',
+  'text_ads',
+  'analyzed_ads',
+  'tokens',
+  'whisper_seconds',
+  'apify_usd',
+  'scrape_ms',
+  'analysis_ms',
+  'persist_ms',
+];
+
+export function classifyMedia(ad) {
+  const snapshot = ad.snapshot || {};
+  if ((snapshot.videos || []).length > 0) {
+    return 'video';
+  }
+  if ((snapshot.images || []).length > 0) {
+    return 'image';
+  }
+  return 'text';
+}
+
+function round(value, digits = 4) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// Per-ad rates from summed counters, null when there is nothing to learn from
+function buildProfile(stats, analysisMode) {
+  if (!stats || !stats.jobs || !stats.ads) {
+    return null;
+  }
+
+  // Token use is tracked per analysis mode, fall back to all modes when this one has no history
+  const modeAnalyzed = stats[`${analysisMode}:analyzed_ads`] || 0;
+  const tokensPerAd = modeAnalyzed
+    ? stats[`${analysisMode}:tokens`] / modeAnalyzed
+    : stats.analyzed_ads
+      ? stats.tokens / stats.analyzed_ads
+      : DEFAULT_PROFILE.tokens_per_analyzed_ad;
+
+  return {
+    fill_rate: stats.ads_requested ? Math.min(stats.ads / stats.ads_requested, 1) : DEFAULT_PROFILE.fill_rate,
+    video_share: stats.video_ads / stats.ads,
+    image_share: stats.image_ads / stats.ads,
+    tokens_per_analyzed_ad: tokensPerAd,
+    whisper_seconds_per_video: stats.video_ads
+      ? stats.whisper_seconds / stats.video_ads
+      : DEFAULT_PROFILE.whisper_seconds_per_video,
+    apify_usd_per_ad: stats.apify_usd ? stats.apify_usd / stats.ads : null,
+    scrape_ms_per_ad: stats.scrape_ms / stats.ads,
+    analysis_ms_per_ad: stats.analyzed_ads ? stats.analysis_ms / stats.analyzed_ads : DEFAULT_PROFILE.analysis_ms_per_ad,
+    persist_ms_per_ad: stats.persist_ms / stats.ads,
+  };
+}
+
+// Projects usage, cost and wall time for one page from its own history, the history of
+// all pages, or the defaults, in that order.
+export function estimateJob(pageStats, globalStats, { max_ads, analysis_mode = 'balanced', auto_analyze = true }) {
+  let basis = 'page';
+  let profile = buildProfile(pageStats, analysis_mode);
+  if (!profile) {
+    basis = 'global';
+    profile = buildProfile(globalStats, analysis_mode);
+  }
+  if (!profile) {
+    basis = 'default';
+    profile = { ...DEFAULT_PROFILE };
+  }
+
+  const analyze = Boolean(auto_analyze && config.OPENAI_API_KEY);
+  const expectedAds = Math.round(max_ads * profile.fill_rate);
+  const videos = Math.round(expectedAds * profile.video_share);
+  const images = Math.round(expectedAds * profile.image_share);
+  const text = Math.max(expectedAds - videos - images, 0);
+
+  const tokens = analyze ? Math.round(expectedAds * profile.tokens_per_analyzed_ad) : 0;
+  const whisperMinutes = analyze ? (videos * profile.whisper_seconds_per_video) / 60 : 0;
+  const apifyUsdPerAd = profile.apify_usd_per_ad || config.APIFY_USD_PER_1000_ADS / 1000;
+
+  const apifyUsd = expectedAds * apifyUsdPerAd;
+  const openaiUsd = (tokens / 1000000) * config.OPENAI_USD_PER_1M_TOKENS + whisperMinutes * config.OPENAI_WHISPER_USD_PER_MINUTE;
+
+  // Ads are analyzed ANALYSIS_WORKERS at a time
+  const analysisRounds = analyze ? Math.ceil(expectedAds / Math.max(config.ANALYSIS_WORKERS, 1)) : 0;
+  const scrapeSeconds = (expectedAds * profile.scrape_ms_per_ad) / 1000;
+  const analysisSeconds = (analysisRounds * profile.analysis_ms_per_ad) / 1000;
+  const persistSeconds = (expectedAds * profile.persist_ms_per_ad) / 1000;
+
+  return {
+    basis,
+    sample_jobs: basis === 'page' ? pageStats.jobs : basis === 'global' ? globalStats.jobs : 0,
+    expected_ads: expectedAds,
+    media: {
+      videos: analyze ? videos : 0,
+      images: analyze ? images : 0,
+      text: analyze ? text : 0,
+    },
+    apify: {
+      usd: round(apifyUsd),
+    },
+    openai: {
+      tokens,
+      whisper_minutes: round(whisperMinutes, 2),
+      usd: round(openaiUsd),
+    },
+    total_usd: round(apifyUsd + openaiUsd),
+    duration_seconds: {
+      scrape: Math.round(scrapeSeconds),
+      analysis: Math.round(analysisSeconds),
+      persist: Math.round(persistSeconds),
+      total: Math.round(scrapeSeconds + analysisSeconds + persistSeconds),
+    },
+  };
+}
+
+export class PageStatsManager {
+  constructor() {
+    this.STATS_PREFIX = 'spider:stats:page:';
+    this.GLOBAL_KEY = 'spider:stats:all';
+    this.redis = null;
+  }
+
+  async init() {
+    this.redis = await getRedisClient();
+    return this.redis !== null;
+  }
+
+  isConnected() {
+    if (!this.redis) {
+      return false;
+    }
+    if (!this.redis.isOpen) {
+      this.redis = null;
+      return false;
+    }
+    return true;
+  }
+
+  // Adds one completed job to its page's counters and the all-pages counters.
+  // sample: ads_requested, ads (scraped count), media (scraped count per classifyMedia type),
+  // analyzed_ads, analysis_mode and the run's stage metrics
+  async recordJob(page_id, sample) {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return false;
+    }
+
+    const media = { video: 0, image: 0, text: 0, ...sample.media };
+    const metrics = sample.metrics || {};
+    const counters = {
+      jobs: 1,
+      ads_requested: sample.ads_requested,
+      ads: sample.ads,
+      video_ads: media.video,
+      image_ads: media.image,
+      text_ads: media.text,
+      analyzed_ads: sample.analyzed_ads,
+      tokens: metrics.tokens || 0,
+      whisper_seconds: metrics.whisper_seconds || 0,
+      apify_usd: metrics.apify_usd || 0,
+      scrape_ms: metrics.scrape_ms || 0,
+      analysis_ms: metrics.analysis_ms || 0,
+      persist_ms: metrics.persist_ms || 0,
+    };
+    if (sample.analyzed_ads > 0) {
+      counters[`${sample.analysis_mode}:analyzed_ads`] = sample.analyzed_ads;
+      counters[`${sample.analysis_mode}:tokens`] = metrics.tokens || 0;
+    }
+
+    const multi = this.redis.multi();
+    for (const key of [this.STATS_PREFIX + page_id, this.GLOBAL_KEY]) {
+      for (const [field, value] of Object.entries(counters)) {
+        if (value) {
+          multi.hIncrByFloat(key, field, value);
+        }
+      }
+      multi.hSet(key, 'updated_at', new Date().toISOString());
+    }
+    await multi.exec();
+    return true;
+  }
+
+  async getPageStats(page_id) {
+    return this._read(this.STATS_PREFIX + page_id);
+  }
+
+  async getGlobalStats() {
+    return this._read(this.GLOBAL_KEY);
+  }
+
+  async _read(key) {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return null;
+    }
+
+    const raw = await this.redis.hGetAll(key);
+    if (!raw.jobs) {
+      return null;
+    }
+
+    const stats = {};
+    for (const [field, value] of Object.entries(raw)) {
+      stats[field] = field === 'updated_at' ? value : parseFloat(value);
+    }
+    for (const field of COUNTER_FIELDS) {
+      stats[field] = stats[field] || 0;
+    }
+    return stats;
+  }
+
+  async close() {
+    // Shared Redis client, only drop our reference
+    this.redis = null;
+  }
+}
+
+export default { PageStatsManager, estimateJob, classifyMedia };
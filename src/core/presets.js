@@ -0,0 +1,160 @@
+import { getRedisClient } from './redis.js';
+
+// Job fields a preset can hold, named as in the POST /api/jobs body
+export const PRESET_FIELDS = [
+  'max_ads_per_page',
+  'analysis_mode',
+  'save_json',
+  'save_db',
+  'auto_analyze',
+  'period',
+];
+
+// Fills in fields missing from a job request with the preset's values,
+// fields set explicitly in the request win
+export function applyPreset(preset, body) {
+  const merged = { ...body };
+  for (const field of PRESET_FIELDS) {
+    if ((merged[field] === undefined || merged[field] === '') && preset[field] !== undefined) {
+      merged[field] = preset[field];
+    }
+  }
+  return merged;
+}
+
+export class PresetManager {
+  constructor() {
+    this.PRESETS_KEY = 'spider:presets';
+    this.PRESET_PREFIX = 'spider:preset:';
+    this.redis = null;
+  }
+
+  async init() {
+    this.redis = await getRedisClient();
+    return this.redis !== null;
+  }
+
+  isConnected() {
+    if (!this.redis) {
+      return false;
+    }
+    if (!this.redis.isOpen) {
+      this.redis = null;
+      return false;
+    }
+    return true;
+  }
+
+  // Returns null if a preset with this name already exists
+  async createPreset(name, values, description = null) {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return null;
+    }
+
+    const added = await this.redis.sAdd(this.PRESETS_KEY, name);
+    if (added === 0) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const preset = {
+      name,
+      description,
+      ...values,
+      created_at: now,
+      updated_at: now,
+    };
+
+    await this._save(preset);
+    return preset;
+  }
+
+  async getPreset(name) {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return null;
+    }
+
+    const data = await this.redis.hGet(this.PRESET_PREFIX + name, 'data');
+    return data ? JSON.parse(data) : null;
+  }
+
+  async getAllPresets() {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return [];
+    }
+
+    const names = await this.redis.sMembers(this.PRESETS_KEY);
+    const presets = [];
+    for (const name of names) {
+      const preset = await this.getPreset(name);
+      if (preset) {
+        presets.push(preset);
+      }
+    }
+
+    presets.sort((a, b) => a.name.localeCompare(b.name));
+    return presets;
+  }
+
+  // A field set to null is removed from the preset
+  async updatePreset(name, updates) {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return null;
+    }
+
+    const preset = await this.getPreset(name);
+    if (!preset) {
+      return null;
+    }
+
+    for (const [field, value] of Object.entries(updates)) {
+      if (value === null && field !== 'description') {
+        delete preset[field];
+      } else {
+        preset[field] = value;
+      }
+    }
+    preset.updated_at = new Date().toISOString();
+
+    await this._save(preset);
+    return preset;
+  }
+
+  async deletePreset(name) {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return false;
+    }
+
+    const removed = await this.redis.sRem(this.PRESETS_KEY, name);
+    await this.redis.del(this.PRESET_PREFIX + name);
+    return removed > 0;
+  }
+
+  async _save(preset) {
+    await this.redis.hSet(this.PRESET_PREFIX + preset.name, {
+      data: JSON.stringify(preset),
+    });
+  }
+
+  async close() {
+    // Shared Redis client, only drop our reference
+    this.redis = null;
+  }
+}
+
+export default { PresetManager, PRESET_FIELDS, applyPreset };
@@ -0,0 +1,64 @@
+import { getRedisClient } from './redis.js';
+import { workerLogger } from './logger.js';
+import { throwIfCancelled } from './cancellation.js';
+
+const WINDOW_MS = 60 * 1000;
+
+function wait(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener(
+        'abort',
+        () => {
+          clearTimeout(timer);
+          resolve();
+        },
+        { once: true }
+      );
+    }
+  });
+}
+
+// Requests-per-minute limit shared by every worker process, counted in one-minute
+// windows in Redis. Without Redis or with a limit of 0 requests go straight through.
+export class RateLimiter {
+  constructor(name, perMinute) {
+    this.KEY_PREFIX = `spider:ratelimit:${name}:`;
+    this.name = name;
+    this.perMinute = perMinute;
+  }
+
+  // Resolves once a request may be sent, waiting for the next window if this one is used up
+  async acquire(signal = null) {
+    if (!this.perMinute || this.perMinute <= 0) {
+      return;
+    }
+
+    const redis = await getRedisClient();
+    if (!redis) {
+      return;
+    }
+
+    for (;;) {
+      throwIfCancelled(signal);
+
+      const window = Math.floor(Date.now() / WINDOW_MS);
+      const key = this.KEY_PREFIX + window;
+      const count = await redis.incr(key);
+      if (count === 1) {
+        await redis.pExpire(key, WINDOW_MS * 2);
+      }
+      if (count <= this.perMinute) {
+        return;
+      }
+
+      // Jitter so waiting workers don't all hit the next window at the same moment
+      const waitMs = (window + 1) * WINDOW_MS - Date.now() + Math.floor(Math.random() * 500);
+      workerLogger.debug(`[RateLimit] ${this.name} limit of ${this.perMinute}/min reached, waiting ${waitMs}ms`);
+      await wait(waitMs, signal);
+    }
+  }
+}
+
+export default RateLimiter;
@@ -1,9 +1,73 @@
-import { createClient } from 'redis';
+import { createClient, WatchError } from 'redis';
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
 import config from '../config/index.js';
 import { workerLogger } from './logger.js';
+import { normalizeRetryPolicy, computeBackoff } from './retry.js';
+import { withDefaultFilters } from '../scraper/adLibrary.js';
 
 let redisClient = null;
 
+export const JOB_EVENTS_CHANNEL = 'spider:events';
+
+export const JOB_STATUSES = ['queued', 'running', 'retrying', 'completed', 'failed', 'cancelled'];
+// Jobs that haven't finished yet, the only ones that can be cancelled or joined
+export const ACTIVE_JOB_STATUSES = ['queued', 'running', 'retrying'];
+// Jobs that ended without completing, the only ones that can be requeued
+export const REQUEUEABLE_JOB_STATUSES = ['failed', 'cancelled'];
+
+// Pipeline stages after scraping, each with its own task queue. Scrape work is the job queue itself.
+export const PIPELINE_STAGES = ['analyze', 'persist'];
+
+// Stage task ids: "<job_id>:<run>:<ad index>" for analyze, "<job_id>:<run>" for persist.
+// The run id changes every time a scrape hands off, so tasks left over from an earlier run are dropped.
+export function parseStageTask(task_id) {
+  const [job_id, run, index] = String(task_id).split(':');
+  return { job_id, run, index: index === undefined ? null : parseInt(index, 10) };
+}
+
+// Opaque listJobs cursor: the creation score and id of the last job on the previous page
+export function encodeJobCursor(score, job_id) {
+  return Buffer.from(`${score}:${job_id}`).toString('base64url');
+}
+
+export function decodeJobCursor(cursor) {
+  const match = Buffer.from(String(cursor), 'base64url').toString().match(/^(\d+):(.+)$/);
+  return match ? { score: parseInt(match[1], 10), job_id: match[2] } : null;
+}
+
+// Moves the oldest queued job onto the processing list and records its owner
+// in one step, so a worker dying right after the pop can't lose the job.
+const CLAIM_JOB_SCRIPT = `
+local jobId = redis.call('RPOPLPUSH', KEYS[1], KEYS[2])
+if jobId then
+  redis.call('HSET', KEYS[3], jobId, ARGV[1])
+end
+return jobId
+`;
+
+// Claims one specific queued job, for jobs joining another job's Apify run
+const CLAIM_QUEUED_JOB_SCRIPT = `
+if redis.call('LREM', KEYS[1], 1, ARGV[1]) == 1 then
+  redis.call('LPUSH', KEYS[2], ARGV[1])
+  redis.call('HSET', KEYS[3], ARGV[1], ARGV[2])
+  return 1
+end
+return 0
+`;
+
+// How far from the consuming end of the queue to look for jobs that can join a run
+const SCRAPE_BATCH_SCAN_DEPTH = 100;
+
+// A job write redone this many times because other writers kept changing the job gives up
+const JOB_WRITE_ATTEMPTS = 50;
+
+// Longest an index backfill may take before another process takes over
+const INDEX_BUILD_LOCK_TTL_MS = 5 * 60 * 1000;
+
+// Jobs loaded and archived at a time when clearing every job of a status
+const CLEAR_PAGE_SIZE = 100;
+
 export async function getRedisClient() {
   // Check if client exists and is open
   if (redisClient) {
@@ -57,6 +121,11 @@ export async function getRedisClient() {
   }
 }
 
+// The shared client if it is connected, without trying to (re)connect
+export function getConnectedRedisClient() {
+  return redisClient && redisClient.isOpen ? redisClient : null;
+}
+
 export async function checkRedisConnection() {
   try {
     const client = await getRedisClient();
@@ -88,6 +157,23 @@ export class JobManager {
     this.JOBS_KEY = 'spider:jobs';
     this.JOB_PREFIX = 'spider:job:';
     this.QUEUE_KEY = 'spider:queue';
+    this.PROCESSING_KEY = 'spider:processing';
+    this.OWNERS_KEY = 'spider:processing:owners';
+    this.HEARTBEAT_PREFIX = 'spider:worker:heartbeat:';
+    this.DELAYED_KEY = 'spider:delayed';
+    this.DEAD_LETTER_KEY = 'spider:dead_letter';
+    this.BATCHES_KEY = 'spider:batches';
+    this.BATCH_PREFIX = 'spider:batch:';
+    this.EVENTS_CHANNEL = JOB_EVENTS_CHANNEL;
+    this.WEBHOOK_PREFIX = 'spider:webhook:';
+    this.WEBHOOK_PENDING_KEY = 'spider:webhooks:pending';
+    this.DEDUPE_PREFIX = 'spider:dedupe:';
+    this.INDEX_PREFIX = 'spider:jobs:index:';
+    this.INDEX_CREATED_KEY = 'spider:jobs:index:created';
+    this.INDEX_BUILT_KEY = 'spider:jobs:index:built';
+    this.INDEX_BUILD_LOCK_KEY = 'spider:jobs:index:building';
+    this.STAGE_PREFIX = 'spider:stage:';
+    this.APIFY_STATS_KEY = 'spider:stats:apify_runs';
     this.redis = null;
   }
 
@@ -126,9 +212,18 @@ export class JobManager {
       auto_analyze = true,
       analysis_mode = 'balanced',
       page_id = null,
+      kind = 'page',
+      search = null,
+      filters = null,
       start_date_formatted = null,
       end_date_formatted = null,
       period = null,
+      schedule_id = null,
+      retry_policy = null,
+      batch_id = null,
+      callback_url = null,
+      callback_secret = null,
+      user_id = null,
     } = jobData;
 
     const job = {
@@ -140,35 +235,141 @@ export class JobManager {
       auto_analyze,
       analysis_mode,
       page_id,
+      // 'page' scrapes one advertiser, 'search' an Ad Library keyword search described by `search`
+      kind,
+      search,
+      filters: withDefaultFilters(filters),
       start_date_formatted,
       end_date_formatted,
       period,
+      schedule_id,
+      batch_id,
+      callback_url,
       status: 'queued',
-      progress: {
-        scraped: 0,
-        analyzed: 0,
-        inserted: 0,
-        pending: 0,
-        failed: 0,
-        total: max_ads,
-      },
+      progress: this._emptyProgress(max_ads),
       result: null,
       error: null,
       message: null,
       created_at: new Date().toISOString(),
       started_at: null,
       completed_at: null,
+      worker_id: null,
+      recovered_count: 0,
+      retry_policy: retry_policy || normalizeRetryPolicy().policy,
+      attempt: 0,
+      attempts: [],
+      next_retry_at: null,
+      fingerprint: null,
+      requesters: [],
+      coalesced_count: 0,
     };
+    job.fingerprint = this._fingerprint(job);
+
+    // Every request is listed, also those without a user_id, so cancelling one of them can
+    // tell whether anyone else still waits for the job
+    const requester = { user_id, requested_at: job.created_at, batch_id };
+    job.requesters.push(requester);
+
+    // Attach to an equivalent queued/running job instead of paying for a second Apify run.
+    // Requests with their own callback_url keep a separate job so every caller gets its webhook.
+    if (job.fingerprint && !callback_url) {
+      const existing = await this._claimFingerprint(job.fingerprint, job_id);
+      if (existing) {
+        return this._attachRequester(existing, requester, jobData);
+      }
+    }
 
     await this.redis.hSet(this.JOB_PREFIX + job_id, {
       data: JSON.stringify(job),
     });
+    // Kept outside the job JSON so it never shows up in API responses
+    if (callback_secret) {
+      await this.redis.hSet(this.JOB_PREFIX + job_id, 'callback_secret', callback_secret);
+    }
     await this.redis.lPush(this.JOBS_KEY, job_id);
+    await this._indexJob(job);
     await this.redis.lPush(this.QUEUE_KEY, job_id);
+    await this._publishEvent('status', job);
 
     return job;
   }
 
+  // Jobs are equivalent when they scrape the same page (or search) with the same filters and limit
+  _fingerprint(job) {
+    const target = job.kind === 'search' ? job.url : job.page_id;
+    if (!target || target === 'unknown') {
+      return null;
+    }
+
+    const key = JSON.stringify([
+      String(target),
+      job.period || null,
+      job.start_date_formatted || null,
+      job.end_date_formatted || null,
+      job.max_ads || null,
+      withDefaultFilters(job.filters),
+      // A requester joining a job gets its output, so options that change it must match too
+      Boolean(job.save_json),
+      Boolean(job.save_db),
+      Boolean(job.auto_analyze),
+      job.analysis_mode || 'balanced',
+    ]);
+    return crypto.createHash('sha1').update(key).digest('hex');
+  }
+
+  // Returns the active job already holding this fingerprint, or null once job_id holds it
+  async _claimFingerprint(fingerprint, job_id) {
+    const key = this.DEDUPE_PREFIX + fingerprint;
+    const claimed = await this.redis.set(key, job_id, { NX: true });
+    if (claimed) {
+      return null;
+    }
+
+    const holderId = await this.redis.get(key);
+    const holder = holderId ? await this.getJob(holderId) : null;
+    if (holder && ACTIVE_JOB_STATUSES.includes(holder.status)) {
+      return holder;
+    }
+
+    // Stale entry left by a job that ended without releasing it
+    await this.redis.set(key, job_id);
+    return null;
+  }
+
+  async _releaseFingerprint(job_id) {
+    const job = await this.getJob(job_id);
+    if (!job || !job.fingerprint) {
+      return;
+    }
+
+    const key = this.DEDUPE_PREFIX + job.fingerprint;
+    if ((await this.redis.get(key)) === job_id) {
+      await this.redis.del(key);
+    }
+  }
+
+  async _attachRequester(existing, requester, jobData) {
+    const written = await this._modifyJob(existing.job_id, (job) => {
+      job.requesters = job.requesters || [];
+      if (!(requester.user_id && job.requesters.some((r) => r.user_id === requester.user_id && r.batch_id === requester.batch_id))) {
+        job.requesters.push(requester);
+      }
+      job.coalesced_count = (job.coalesced_count || 0) + 1;
+
+      // A job that hasn't started yet takes on whatever outputs the new requester needs
+      if (job.status === 'queued') {
+        job.save_json = job.save_json || jobData.save_json === true;
+        job.save_db = job.save_db || jobData.save_db === true;
+        job.auto_analyze = job.auto_analyze || jobData.auto_analyze === true;
+      }
+    });
+    const job = written ? written.job : existing;
+    await this._indexJob(job);
+    await this._publishEvent('update', job);
+
+    return { ...job, coalesced: true };
+  }
+
   async getJob(job_id) {
     if (!this.isConnected()) {
       await this.init();
@@ -185,7 +386,7 @@ export class JobManager {
     return JSON.parse(data);
   }
 
-  async getQueuedJob() {
+  async getQueuedJob(worker_id) {
     if (!this.isConnected()) {
       await this.init();
     }
@@ -193,32 +394,72 @@ export class JobManager {
       return null;
     }
 
-    const job_id = await this.redis.rPop(this.QUEUE_KEY);
+    const job_id = await this.redis.eval(CLAIM_JOB_SCRIPT, {
+      keys: [this.QUEUE_KEY, this.PROCESSING_KEY, this.OWNERS_KEY],
+      arguments: [worker_id],
+    });
     return job_id;
   }
 
-  async updateJob(job_id, updates) {
+  // Page jobs can share an Apify run when they use the same date range and filters
+  scrapeBatchKey(job) {
+    if ((job.kind || 'page') !== 'page' || !job.page_id || job.page_id === 'unknown') {
+      return null;
+    }
+    return JSON.stringify([
+      job.period || null,
+      job.start_date_formatted || null,
+      job.end_date_formatted || null,
+      withDefaultFilters(job.filters),
+    ]);
+  }
+
+  // Claims up to `limit` more queued jobs, oldest first, that can join `job`'s Apify run.
+  // Jobs with an Apify run to resume and jobs for a page already in the run are left queued.
+  async claimCompatibleJobs(worker_id, job, limit) {
     if (!this.isConnected()) {
       await this.init();
     }
-    if (!this.isConnected()) {
-      return false;
+    const key = this.scrapeBatchKey(job);
+    if (!this.isConnected() || !key || limit <= 0) {
+      return [];
     }
 
-    const job = await this.getJob(job_id);
-    if (!job) {
-      return false;
-    }
+    // Jobs are claimed from the right, so the rightmost are the oldest
+    const candidateIds = (await this.redis.lRange(this.QUEUE_KEY, -SCRAPE_BATCH_SCAN_DEPTH, -1)).reverse();
+    const pages = new Set([String(job.page_id)]);
+    const claimed = [];
 
-    Object.assign(job, updates);
-    await this.redis.hSet(this.JOB_PREFIX + job_id, {
-      data: JSON.stringify(job),
-    });
+    for (const candidateId of candidateIds) {
+      if (claimed.length >= limit) {
+        break;
+      }
 
-    return true;
+      const candidate = await this.getJob(candidateId);
+      if (
+        !candidate ||
+        candidate.status === 'cancelled' ||
+        pages.has(String(candidate.page_id)) ||
+        this.scrapeBatchKey(candidate) !== key ||
+        (await this.redis.hExists(this._checkpointKey(candidateId), 'scrape'))
+      ) {
+        continue;
+      }
+
+      const moved = await this.redis.eval(CLAIM_QUEUED_JOB_SCRIPT, {
+        keys: [this.QUEUE_KEY, this.PROCESSING_KEY, this.OWNERS_KEY],
+        arguments: [candidateId, worker_id],
+      });
+      if (moved) {
+        claimed.push(candidate);
+        pages.add(String(candidate.page_id));
+      }
+    }
+    return claimed;
   }
 
-  async updateProgress(job_id, progressUpdates) {
+  // Counts finished Apify runs and the page jobs they scraped, runs_saved is the difference
+  async recordApifyRun(pages) {
     if (!this.isConnected()) {
       await this.init();
     }
@@ -226,70 +467,35 @@ export class JobManager {
       return false;
     }
 
-    const job = await this.getJob(job_id);
-    if (!job) {
-      return false;
-    }
-
-    Object.assign(job.progress, progressUpdates);
-    
-    // Update message if provided
-    if (progressUpdates.message) {
-      job.message = progressUpdates.message;
-    }
-
-    await this.redis.hSet(this.JOB_PREFIX + job_id, {
-      data: JSON.stringify(job),
-    });
-
+    await this.redis
+      .multi()
+      .hIncrBy(this.APIFY_STATS_KEY, 'runs', 1)
+      .hIncrBy(this.APIFY_STATS_KEY, 'pages', pages)
+      .hIncrBy(this.APIFY_STATS_KEY, 'batched_runs', pages > 1 ? 1 : 0)
+      .exec();
     return true;
   }
 
-  async setRunning(job_id) {
-    return this.updateJob(job_id, {
-      status: 'running',
-      started_at: new Date().toISOString(),
-    });
-  }
-
-  async setCompleted(job_id, result) {
-    return this.updateJob(job_id, {
-      status: 'completed',
-      completed_at: new Date().toISOString(),
-      result,
-    });
-  }
-
-  async setFailed(job_id, error) {
-    return this.updateJob(job_id, {
-      status: 'failed',
-      completed_at: new Date().toISOString(),
-      error,
-    });
-  }
-
-  async getAllJobs(limit = 50) {
+  async getApifyRunStats() {
     if (!this.isConnected()) {
       await this.init();
     }
     if (!this.isConnected()) {
-      return [];
-    }
-
-    const jobIds = await this.redis.lRange(this.JOBS_KEY, 0, limit - 1);
-    const jobs = [];
-
-    for (const jobId of jobIds) {
-      const job = await this.getJob(jobId);
-      if (job) {
-        jobs.push(job);
-      }
+      return { runs: 0, pages: 0, batched_runs: 0, runs_saved: 0 };
     }
 
-    return jobs.reverse(); // Most recent first
+    const raw = await this.redis.hGetAll(this.APIFY_STATS_KEY);
+    const runs = parseInt(raw.runs || '0', 10);
+    const pages = parseInt(raw.pages || '0', 10);
+    return {
+      runs,
+      pages,
+      batched_runs: parseInt(raw.batched_runs || '0', 10),
+      runs_saved: pages - runs,
+    };
   }
 
-  async clearCompleted() {
+  async getQueueLength() {
     if (!this.isConnected()) {
       await this.init();
     }
@@ -297,118 +503,201 @@ export class JobManager {
       return 0;
     }
 
-    const jobs = await this.getAllJobs();
-    let count = 0;
+    return this.redis.lLen(this.QUEUE_KEY);
+  }
 
-    for (const job of jobs) {
-      if (job.status === 'completed') {
-        await this.redis.hDel(this.JOB_PREFIX + job.job_id, 'data');
-        await this.redis.lRem(this.JOBS_KEY, 0, job.job_id);
-        count++;
-      }
+  // Removes a job from the processing list once its worker is done with it
+  async ackJob(job_id) {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return false;
     }
 
-    return count;
+    await this.redis.lRem(this.PROCESSING_KEY, 0, job_id);
+    await this.redis.hDel(this.OWNERS_KEY, job_id);
+    return true;
   }
 
-  async clearFailed() {
+  // Hands a running job back to the queue when its worker shuts down before finishing it.
+  // Checkpoints are kept so the next worker resumes, and the attempt isn't counted as a retry.
+  async releaseJob(job_id, worker_id, reason) {
     if (!this.isConnected()) {
       await this.init();
     }
     if (!this.isConnected()) {
-      return 0;
+      return false;
     }
 
-    const jobs = await this.getAllJobs();
-    let count = 0;
+    const written = await this._modifyJob(job_id, (job, { cancelled }) => {
+      if (cancelled || job.status !== 'running' || job.worker_id !== worker_id) {
+        return false;
+      }
 
-    for (const job of jobs) {
-      if (job.status === 'failed') {
-        await this.redis.hDel(this.JOB_PREFIX + job.job_id, 'data');
-        await this.redis.lRem(this.JOBS_KEY, 0, job.job_id);
-        count++;
+      const attempts = job.attempts || [];
+      const current = attempts[attempts.length - 1];
+      if (current && !current.ended_at) {
+        Object.assign(current, { ended_at: new Date().toISOString(), error: reason, error_class: 'worker_shutdown' });
       }
+
+      job.status = 'queued';
+      job.worker_id = null;
+      job.started_at = null;
+      job.attempt = Math.max((job.attempt || 1) - 1, 0);
+      job.attempts = attempts;
+      job.progress = this._emptyProgress(job.max_ads);
+      job.message = reason;
+    });
+    if (!written) {
+      await this.ackJob(job_id);
+      return false;
     }
 
-    return count;
+    const { job } = written;
+    await this._indexJob(job);
+    await this.ackJob(job_id);
+    // Consuming end, like recovered jobs, so it doesn't wait behind the whole queue
+    await this.redis.rPush(this.QUEUE_KEY, job_id);
+    await this._publishEvent('status', job);
+    return true;
   }
 
-  async clearCancelled() {
+  async heartbeat(worker_id, ttlMs) {
     if (!this.isConnected()) {
       await this.init();
     }
     if (!this.isConnected()) {
-      return 0;
+      return false;
     }
 
-    const jobs = await this.getAllJobs();
-    let count = 0;
+    await this.redis.set(this.HEARTBEAT_PREFIX + worker_id, new Date().toISOString(), { PX: ttlMs });
+    return true;
+  }
 
-    for (const job of jobs) {
-      if (job.status === 'cancelled') {
-        await this.redis.hDel(this.JOB_PREFIX + job.job_id, 'data');
-        await this.redis.lRem(this.JOBS_KEY, 0, job.job_id);
-        count++;
-      }
+  async isWorkerAlive(worker_id) {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return false;
     }
 
-    return count;
+    return (await this.redis.exists(this.HEARTBEAT_PREFIX + worker_id)) === 1;
   }
 
-  async getStats() {
+  // Puts jobs held by workers whose heartbeat expired back on the queue
+  async recoverOrphanedJobs() {
     if (!this.isConnected()) {
       await this.init();
     }
     if (!this.isConnected()) {
-      return {
-        total: 0,
-        queued: 0,
-        running: 0,
-        completed: 0,
-        failed: 0,
-        cancelled: 0,
-        total_scraped: 0,
-        total_analyzed: 0,
-        total_inserted: 0,
-        total_pending: 0,
-        total_failed: 0,
-      };
+      return [];
     }
 
-    const jobs = await this.getAllJobs();
+    const processingIds = await this.redis.lRange(this.PROCESSING_KEY, 0, -1);
+    const recovered = [];
 
-    const stats = {
-      total: jobs.length,
-      queued: 0,
-      running: 0,
-      completed: 0,
-      failed: 0,
-      cancelled: 0,
-      total_scraped: 0,
-      total_analyzed: 0,
-      total_inserted: 0,
-      total_pending: 0,
-      total_failed: 0,
-    };
+    for (const jobId of processingIds) {
+      const owner = await this.redis.hGet(this.OWNERS_KEY, jobId);
+      if (owner && (await this.isWorkerAlive(owner))) {
+        continue;
+      }
 
-    for (const job of jobs) {
-      const status = job.status || 'unknown';
-      if (stats.hasOwnProperty(status)) {
-        stats[status]++;
+      // Another worker may be recovering the same job, only the one that removes it proceeds
+      const removed = await this.redis.lRem(this.PROCESSING_KEY, 0, jobId);
+      await this.redis.hDel(this.OWNERS_KEY, jobId);
+      if (removed === 0) {
+        continue;
       }
 
-      const progress = job.progress || {};
-      stats.total_scraped += progress.scraped || 0;
-      stats.total_analyzed += progress.analyzed || 0;
-      stats.total_inserted += progress.inserted || 0;
-      stats.total_pending += progress.pending || 0;
-      stats.total_failed += progress.failed || 0;
+      const written = await this._modifyJob(jobId, (job, { cancelled }) => {
+        if (cancelled || ['completed', 'failed', 'cancelled'].includes(job.status)) {
+          return false;
+        }
+
+        const attempts = job.attempts || [];
+        const current = attempts[attempts.length - 1];
+        if (current && !current.ended_at) {
+          Object.assign(current, {
+            ended_at: new Date().toISOString(),
+            error: 'Worker stopped heartbeating',
+            error_class: 'worker_lost',
+          });
+        }
+
+        job.status = 'queued';
+        job.worker_id = null;
+        job.started_at = null;
+        job.progress = this._emptyProgress(job.max_ads);
+        job.recovered_count = (job.recovered_count || 0) + 1;
+        job.last_recovered_at = new Date().toISOString();
+        job.message = `Recovered from unresponsive worker ${owner || 'unknown'}`;
+      });
+      if (!written) {
+        continue;
+      }
+
+      const { job } = written;
+      await this._indexJob(job);
+      // Recovered jobs go to the consuming end so they run next
+      await this.redis.rPush(this.QUEUE_KEY, jobId);
+      await this._publishEvent('status', job);
+      recovered.push(jobId);
     }
 
-    return stats;
+    return recovered;
   }
 
-  async deleteJob(job_id) {
+  _cancelKey(job_id) {
+    return `${this.JOB_PREFIX}${job_id}:cancelled`;
+  }
+
+  // Read-modify-write of the job JSON. Workers, stage tasks and the API all write the same job,
+  // so the write only goes through if neither the job nor its cancel flag changed since it was
+  // read (WATCH), and is otherwise redone on the fresh job. mutate(job, { cancelled }) changes
+  // the job in place, returning false leaves it unwritten. A job with the cancel flag set stays
+  // cancelled whatever mutate does. also(multi) adds commands to the write's MULTI.
+  // Returns { job, previousStatus }, or null if nothing was written.
+  async _modifyJob(job_id, mutate, { also = null } = {}) {
+    const key = this.JOB_PREFIX + job_id;
+    const cancelKey = this._cancelKey(job_id);
+
+    for (let attempt = 0; attempt < JOB_WRITE_ATTEMPTS; attempt++) {
+      try {
+        return await this.redis.executeIsolated(async (client) => {
+          await client.watch([key, cancelKey]);
+          const data = await client.hGet(key, 'data');
+          const cancelled = (await client.exists(cancelKey)) === 1;
+          const job = data ? JSON.parse(data) : null;
+          const previousStatus = job ? job.status : null;
+          if (!job || mutate(job, { cancelled }) === false) {
+            await client.unwatch();
+            return null;
+          }
+          if (cancelled) {
+            job.status = 'cancelled';
+          }
+
+          const multi = client.multi().hSet(key, { data: JSON.stringify(job) });
+          if (also) {
+            also(multi);
+          }
+          await multi.exec();
+          return { job, previousStatus };
+        });
+      } catch (error) {
+        if (!(error instanceof WatchError)) {
+          throw error;
+        }
+      }
+    }
+    throw new Error(`Job ${job_id} kept changing while being updated, gave up after ${JOB_WRITE_ATTEMPTS} attempts`);
+  }
+
+  // updates: the fields to set, or a function called with the current job (and { cancelled })
+  // that returns them, or null to leave the job as it is
+  async updateJob(job_id, updates) {
     if (!this.isConnected()) {
       await this.init();
     }
@@ -416,13 +705,28 @@ export class JobManager {
       return false;
     }
 
-    await this.redis.del(this.JOB_PREFIX + job_id);
-    await this.redis.lRem(this.JOBS_KEY, 0, job_id);
-    await this.redis.lRem(this.QUEUE_KEY, 0, job_id);
+    const written = await this._modifyJob(job_id, (job, state) => {
+      const fields = typeof updates === 'function' ? updates(job, state) : updates;
+      if (!fields) {
+        return false;
+      }
+      Object.assign(job, fields);
+      return true;
+    });
+    if (!written) {
+      return false;
+    }
+
+    const { job, previousStatus } = written;
+    if (job.status !== previousStatus) {
+      await this._indexJob(job);
+    }
+    await this._publishEvent(job.status !== previousStatus ? 'status' : 'update', job);
+
     return true;
   }
 
-  async cancelJob(job_id) {
+  async updateProgress(job_id, progressUpdates) {
     if (!this.isConnected()) {
       await this.init();
     }
@@ -430,40 +734,1511 @@ export class JobManager {
       return false;
     }
 
-    await this.updateJob(job_id, { status: 'cancelled' });
-    await this.redis.lRem(this.QUEUE_KEY, 0, job_id);
+    const written = await this._modifyJob(job_id, (job) => {
+      Object.assign(job.progress, progressUpdates);
+
+      // Update message if provided
+      if (progressUpdates.message) {
+        job.message = progressUpdates.message;
+      }
+    });
+    if (!written) {
+      return false;
+    }
+    await this._publishEvent('progress', written.job);
+
     return true;
   }
 
-  async requeueJob(job_id) {
+  // False if the job was cancelled before it could start
+  async setRunning(job_id, worker_id = null) {
+    return this.updateJob(job_id, (job, { cancelled }) => {
+      if (cancelled || job.status === 'cancelled') {
+        return null;
+      }
+
+      const startedAt = new Date().toISOString();
+      const attempt = (job.attempt || 0) + 1;
+      const attempts = job.attempts || [];
+      attempts.push({ attempt, worker_id, started_at: startedAt, ended_at: null, error: null, error_class: null });
+
+      return {
+        status: 'running',
+        stage: 'scrape',
+        // Per-stage start/end times of the current attempt
+        stage_timings: { scrape: { started_at: startedAt, ended_at: null } },
+        // Set when the job shares its Apify run with other page jobs
+        scrape_batch: null,
+        started_at: startedAt,
+        worker_id,
+        attempt,
+        attempts,
+        next_retry_at: null,
+      };
+    });
+  }
+
+  async setCompleted(job_id, result) {
+    // A job cancelled while it was finishing stays cancelled
+    const now = new Date().toISOString();
+    const updated = await this.updateJob(job_id, (job, { cancelled }) =>
+      cancelled || job.status === 'cancelled'
+        ? null
+        : {
+            status: 'completed',
+            completed_at: now,
+            stage_timings: this._endStageTiming(job, now),
+            result,
+          }
+    );
+    if (updated) {
+      await this._releaseFingerprint(job_id);
+      await this.clearCheckpoint(job_id);
+      await this.enqueueWebhook(job_id, 'job.completed');
+    }
+    return updated;
+  }
+
+  async setFailed(job_id, error) {
+    const updated = await this.updateJob(job_id, (job, { cancelled }) =>
+      cancelled || job.status === 'cancelled'
+        ? null
+        : {
+            status: 'failed',
+            completed_at: new Date().toISOString(),
+            error,
+          }
+    );
+    if (updated) {
+      await this._releaseFingerprint(job_id);
+    }
+    return updated;
+  }
+
+  // Records a failed attempt and either schedules a delayed retry or fails the job for good.
+  // Jobs that used up all their attempts on retryable errors go to the dead-letter list.
+  async failJob(job_id, error, errorClass = 'unknown') {
     if (!this.isConnected()) {
       await this.init();
     }
     if (!this.isConnected()) {
-      return false;
+      return { retried: false };
     }
 
-    const job = await this.getJob(job_id);
-    if (!job) {
-      return false;
-    }
+    // Decided on the job as it is when written, a cancel in between wins
+    const now = new Date();
+    let outcome = null;
+    const updated = await this.updateJob(job_id, (job, { cancelled }) => {
+      if (cancelled || job.status === 'cancelled') {
+        outcome = { cancelled: true };
+        return null;
+      }
 
-    job.status = 'queued';
-    job.error = null;
-    job.progress = {
-      scraped: 0,
-      analyzed: 0,
-      inserted: 0,
-      pending: 0,
-      failed: 0,
-      total: job.max_ads,
-    };
+      const policy = job.retry_policy || normalizeRetryPolicy().policy;
+      const attempt = job.attempt || 1;
+      const retryable = policy.retryable_errors.includes(errorClass);
 
-    await this.redis.hSet(this.JOB_PREFIX + job_id, {
-      data: JSON.stringify(job),
+      const attempts = job.attempts || [];
+      const current = attempts[attempts.length - 1];
+      if (current && !current.ended_at) {
+        Object.assign(current, { ended_at: now.toISOString(), error, error_class: errorClass, retryable });
+      }
+      const stageTimings = this._endStageTiming(job, now.toISOString());
+
+      if (retryable && attempt < policy.max_attempts) {
+        const delayMs = computeBackoff(policy, attempt);
+        outcome = { retryable, nextRetryAt: new Date(now.getTime() + delayMs) };
+        return {
+          status: 'retrying',
+          error,
+          attempts,
+          stage_timings: stageTimings,
+          next_retry_at: outcome.nextRetryAt.toISOString(),
+          message: `Attempt ${attempt}/${policy.max_attempts} failed (${errorClass}), retrying in ${Math.round(delayMs / 1000)}s`,
+        };
+      }
+
+      outcome = { retryable, nextRetryAt: null };
+      return {
+        status: 'failed',
+        completed_at: now.toISOString(),
+        error,
+        attempts,
+        stage_timings: stageTimings,
+        next_retry_at: null,
+        dead_lettered_at: retryable ? now.toISOString() : null,
+      };
     });
-    await this.redis.lPush(this.QUEUE_KEY, job_id);
-    return true;
+    if (!updated) {
+      return outcome && outcome.cancelled ? { retried: false, cancelled: true } : { retried: false };
+    }
+
+    const { retryable, nextRetryAt } = outcome;
+    if (nextRetryAt) {
+      await this.redis.zAdd(this.DELAYED_KEY, { score: nextRetryAt.getTime(), value: job_id });
+      return { retried: true, next_retry_at: nextRetryAt.toISOString() };
+    }
+
+    if (retryable) {
+      await this.redis.lRem(this.DEAD_LETTER_KEY, 0, job_id);
+      await this.redis.lPush(this.DEAD_LETTER_KEY, job_id);
+    }
+    await this._releaseFingerprint(job_id);
+    await this.enqueueWebhook(job_id, 'job.failed');
+
+    return { retried: false, dead_lettered: retryable };
+  }
+
+  // Moves retries whose backoff elapsed back onto the queue
+  async promoteDelayedJobs() {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return [];
+    }
+
+    const dueIds = await this.redis.zRangeByScore(this.DELAYED_KEY, 0, Date.now());
+    const promoted = [];
+
+    for (const jobId of dueIds) {
+      // Only the worker that removes the entry requeues it
+      const removed = await this.redis.zRem(this.DELAYED_KEY, jobId);
+      if (removed === 0) {
+        continue;
+      }
+
+      const queued = await this.updateJob(jobId, (job, { cancelled }) =>
+        cancelled || job.status !== 'retrying'
+          ? null
+          : { status: 'queued', message: `Retry attempt ${(job.attempt || 0) + 1} queued` }
+      );
+      if (!queued) {
+        continue;
+      }
+      await this.redis.lPush(this.QUEUE_KEY, jobId);
+      promoted.push(jobId);
+    }
+
+    return promoted;
+  }
+
+  async getDeadLetterJobs(limit = 50) {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return [];
+    }
+
+    const jobIds = await this.redis.lRange(this.DEAD_LETTER_KEY, 0, limit - 1);
+    const jobs = [];
+
+    for (const jobId of jobIds) {
+      const job = await this.getJob(jobId);
+      if (job) {
+        jobs.push(job);
+      }
+    }
+
+    return jobs;
+  }
+
+  async getAllJobs(limit = 50) {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return [];
+    }
+
+    const jobIds = await this.redis.lRange(this.JOBS_KEY, 0, limit - 1);
+    const jobs = [];
+
+    for (const jobId of jobIds) {
+      const job = await this.getJob(jobId);
+      if (job) {
+        jobs.push(job);
+      }
+    }
+
+    return jobs.reverse(); // Most recent first
+  }
+
+  // Filters: status (array), page_id, user_id, since/until (created_at). Uses the
+  // sorted-set indexes so only the requested page of jobs is loaded.
+  async listJobs({
+    status = [],
+    page_id = null,
+    user_id = null,
+    since = null,
+    until = null,
+    sort = 'desc',
+    cursor = null,
+    limit = 50,
+  } = {}) {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return { total: 0, jobs: [], next_cursor: null };
+    }
+
+    await this._ensureJobIndexes();
+
+    const tempKeys = [];
+    const tempKey = async (build) => {
+      const key = `${this.INDEX_PREFIX}tmp:${uuidv4()}`;
+      tempKeys.push(key);
+      await build(key);
+      await this.redis.pExpire(key, 60000);
+      return key;
+    };
+
+    try {
+      const keys = [];
+      if (status.length === 1) {
+        keys.push(this._indexKey('status', status[0]));
+      } else if (status.length > 1) {
+        keys.push(
+          await tempKey((key) =>
+            this.redis.zUnionStore(key, status.map((s) => this._indexKey('status', s)), { AGGREGATE: 'MIN' })
+          )
+        );
+      }
+      if (page_id) {
+        keys.push(this._indexKey('page', page_id));
+      }
+      if (user_id) {
+        keys.push(this._indexKey('user', user_id));
+      }
+
+      let key = this.INDEX_CREATED_KEY;
+      if (keys.length === 1) {
+        key = keys[0];
+      } else if (keys.length > 1) {
+        // Every index is scored by created_at, MIN keeps that score on the intersection
+        key = await tempKey((dest) => this.redis.zInterStore(dest, keys, { AGGREGATE: 'MIN' }));
+      }
+
+      const min = since ? new Date(since).getTime() : '-inf';
+      const max = until ? new Date(until).getTime() : '+inf';
+      const total = await this.redis.zCount(key, min, max);
+      const entries = await this._rangeJobIndex(key, min, max, sort === 'asc', cursor, limit + 1);
+
+      const page = entries.slice(0, limit);
+      const jobs = [];
+      for (const entry of page) {
+        const job = await this.getJob(entry.value);
+        if (job) {
+          jobs.push(job);
+        }
+      }
+
+      const last = page[page.length - 1];
+      return {
+        total,
+        jobs,
+        next_cursor: entries.length > limit ? encodeJobCursor(last.score, last.value) : null,
+      };
+    } finally {
+      if (tempKeys.length > 0) {
+        await this.redis.del(tempKeys);
+      }
+    }
+  }
+
+  // One page of { value, score } from an index, continuing after the cursor
+  async _rangeJobIndex(key, min, max, ascending, cursor, count) {
+    const entries = [];
+    let lower = min;
+    let upper = max;
+
+    if (cursor) {
+      // Jobs sharing the cursor's timestamp are ordered by id, pick up the ones not yet returned
+      const ties = await this.redis.zRangeByScore(key, cursor.score, cursor.score);
+      const remaining = ascending
+        ? ties.filter((id) => id > cursor.job_id)
+        : ties.filter((id) => id < cursor.job_id).reverse();
+      entries.push(...remaining.slice(0, count).map((value) => ({ value, score: cursor.score })));
+
+      if (ascending) {
+        lower = `(${cursor.score}`;
+      } else {
+        upper = `(${cursor.score}`;
+      }
+    }
+
+    if (entries.length < count) {
+      const options = { BY: 'SCORE', LIMIT: { offset: 0, count: count - entries.length } };
+      const more = ascending
+        ? await this.redis.zRangeWithScores(key, lower, upper, options)
+        : await this.redis.zRangeWithScores(key, upper, lower, { ...options, REV: true });
+      entries.push(...more);
+    }
+
+    return entries;
+  }
+
+  _indexKey(type, value) {
+    return `${this.INDEX_PREFIX}${type}:${value}`;
+  }
+
+  // Keeps the listJobs indexes in line with the job, safe to call on every status change
+  async _indexJob(job) {
+    const score = new Date(job.created_at).getTime();
+    const multi = this.redis.multi();
+
+    multi.zAdd(this.INDEX_CREATED_KEY, { score, value: job.job_id });
+    for (const status of JOB_STATUSES) {
+      if (status === job.status) {
+        multi.zAdd(this._indexKey('status', status), { score, value: job.job_id });
+      } else {
+        multi.zRem(this._indexKey('status', status), job.job_id);
+      }
+    }
+    if (job.page_id) {
+      multi.zAdd(this._indexKey('page', job.page_id), { score, value: job.job_id });
+    }
+    for (const requester of job.requesters || []) {
+      if (requester.user_id) {
+        multi.zAdd(this._indexKey('user', requester.user_id), { score, value: job.job_id });
+      }
+    }
+
+    await multi.exec();
+  }
+
+  async _unindexJob(job) {
+    const multi = this.redis.multi();
+
+    multi.zRem(this.INDEX_CREATED_KEY, job.job_id);
+    for (const status of JOB_STATUSES) {
+      multi.zRem(this._indexKey('status', status), job.job_id);
+    }
+    if (job.page_id) {
+      multi.zRem(this._indexKey('page', job.page_id), job.job_id);
+    }
+    for (const requester of job.requesters || []) {
+      if (requester.user_id) {
+        multi.zRem(this._indexKey('user', requester.user_id), job.job_id);
+      }
+    }
+
+    await multi.exec();
+  }
+
+  // Jobs created before the indexes existed are indexed once, on first use. The done flag is
+  // only set after the backfill, the lock expires so a backfill cut short by a crash runs again.
+  async _ensureJobIndexes() {
+    if (await this.redis.exists(this.INDEX_BUILT_KEY)) {
+      return;
+    }
+    const claimed = await this.redis.set(this.INDEX_BUILD_LOCK_KEY, new Date().toISOString(), {
+      NX: true,
+      PX: INDEX_BUILD_LOCK_TTL_MS,
+    });
+    if (!claimed) {
+      return;
+    }
+
+    try {
+      const jobIds = await this.redis.lRange(this.JOBS_KEY, 0, -1);
+      for (const jobId of jobIds) {
+        const job = await this.getJob(jobId);
+        if (job) {
+          await this._indexJob(job);
+        }
+      }
+      await this.redis.set(this.INDEX_BUILT_KEY, new Date().toISOString());
+      workerLogger.info(`[Redis] Indexed ${jobIds.length} existing job(s) for listing`);
+    } finally {
+      await this.redis.del(this.INDEX_BUILD_LOCK_KEY);
+    }
+  }
+
+  async clearCompleted(history = null) {
+    return this._clearByStatus('completed', history);
+  }
+
+  async clearFailed(history = null) {
+    return this._clearByStatus('failed', history);
+  }
+
+  async clearCancelled(history = null) {
+    return this._clearByStatus('cancelled', history);
+  }
+
+  // With a history store the cleared jobs are archived first instead of being lost.
+  // Pages through the status index until it is empty, so every job of the status goes.
+  async _clearByStatus(status, history) {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return 0;
+    }
+
+    await this._ensureJobIndexes();
+
+    const indexKey = this._indexKey('status', status);
+    let cleared = 0;
+    for (;;) {
+      const jobIds = await this.redis.zRange(indexKey, 0, CLEAR_PAGE_SIZE - 1);
+      if (jobIds.length === 0) {
+        break;
+      }
+
+      const jobs = [];
+      for (const jobId of jobIds) {
+        const job = await this.getJob(jobId);
+        if (job && job.status === status) {
+          jobs.push(job);
+        } else if (job) {
+          // Stale entry, the job moved on since it was indexed
+          await this._indexJob(job);
+        } else {
+          await this.redis.zRem(indexKey, jobId);
+        }
+      }
+      cleared += await this.archiveJobs(jobs, history);
+    }
+
+    return cleared;
+  }
+
+  // Archives finished jobs older than the retention window and removes them from Redis
+  async archiveExpiredJobs(history, retentionDays = config.JOB_RETENTION_DAYS) {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected() || retentionDays <= 0) {
+      return 0;
+    }
+
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    const jobIds = await this.redis.lRange(this.JOBS_KEY, 0, -1);
+    const expired = [];
+
+    for (const jobId of jobIds) {
+      const job = await this.getJob(jobId);
+      if (!job || !['completed', 'failed', 'cancelled'].includes(job.status)) {
+        continue;
+      }
+      const finishedAt = new Date(job.completed_at || job.started_at || job.created_at).getTime();
+      if (finishedAt < cutoff) {
+        expired.push(job);
+      }
+    }
+
+    return this.archiveJobs(expired, history);
+  }
+
+  // Jobs are only dropped from Redis once the history store has accepted them
+  async archiveJobs(jobs, history = null) {
+    if (jobs.length === 0) {
+      return 0;
+    }
+
+    if (history) {
+      await history.archive(jobs);
+    }
+
+    for (const job of jobs) {
+      await this._purgeJob(job.job_id);
+    }
+
+    return jobs.length;
+  }
+
+  async getStats() {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return {
+        total: 0,
+        queued: 0,
+        running: 0,
+        retrying: 0,
+        completed: 0,
+        failed: 0,
+        cancelled: 0,
+        total_scraped: 0,
+        total_analyzed: 0,
+        total_inserted: 0,
+        total_pending: 0,
+        total_failed: 0,
+      };
+    }
+
+    const jobs = await this.getAllJobs();
+
+    const stats = {
+      total: jobs.length,
+      queued: 0,
+      running: 0,
+      retrying: 0,
+      completed: 0,
+      failed: 0,
+      cancelled: 0,
+      total_scraped: 0,
+      total_analyzed: 0,
+      total_inserted: 0,
+      total_pending: 0,
+      total_failed: 0,
+    };
+
+    for (const job of jobs) {
+      const status = job.status || 'unknown';
+      if (stats.hasOwnProperty(status)) {
+        stats[status]++;
+      }
+
+      const progress = job.progress || {};
+      stats.total_scraped += progress.scraped || 0;
+      stats.total_analyzed += progress.analyzed || 0;
+      stats.total_inserted += progress.inserted || 0;
+      stats.total_pending += progress.pending || 0;
+      stats.total_failed += progress.failed || 0;
+    }
+
+    stats.stages = await this.getStageQueueStats();
+    stats.apify = await this.getApifyRunStats();
+    return stats;
+  }
+
+  async deleteJob(job_id) {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return false;
+    }
+
+    await this._purgeJob(job_id);
+    await this._publishEvent('deleted', { job_id, status: 'deleted' });
+    return true;
+  }
+
+  async _purgeJob(job_id) {
+    const job = await this.getJob(job_id);
+    if (job) {
+      await this._unindexJob(job);
+    }
+    await this._releaseFingerprint(job_id);
+    // Deliveries go with the job, a pending one could no longer be signed
+    const deliveryIds = await this.redis.lRange(this.JOB_PREFIX + job_id + ':webhooks', 0, -1);
+    if (deliveryIds.length > 0) {
+      await this.redis.zRem(this.WEBHOOK_PENDING_KEY, deliveryIds);
+      await this.redis.del(deliveryIds.map((deliveryId) => this.WEBHOOK_PREFIX + deliveryId));
+    }
+    await this.redis.del(this.JOB_PREFIX + job_id);
+    await this.redis.del(this.JOB_PREFIX + job_id + ':webhooks');
+    await this.redis.del(this.JOB_PREFIX + job_id + ':logs');
+    await this.redis.del(this._cancelKey(job_id));
+    await this.clearCheckpoint(job_id);
+    await this.redis.lRem(this.JOBS_KEY, 0, job_id);
+    await this.redis.lRem(this.QUEUE_KEY, 0, job_id);
+    await this.redis.zRem(this.DELAYED_KEY, job_id);
+    await this.redis.lRem(this.DEAD_LETTER_KEY, 0, job_id);
+    await this.ackJob(job_id);
+  }
+
+  // A coalesced job is shared by every request that joined it. Cancelling for one batch_id
+  // and/or user_id only detaches the matching requesters, the job itself is cancelled once none
+  // are left. Without either, the job is cancelled for everyone.
+  // Only queued, running and retrying jobs can be cancelled.
+  // Returns { cancelled, detached, status } (detached: requesters removed, status: the job's
+  // status when nothing was cancelled), or false if there is no job.
+  async cancelJob(job_id, { batch_id = null, user_id = null } = {}) {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return false;
+    }
+
+    if (batch_id || user_id) {
+      const now = new Date().toISOString();
+      let detached = [];
+      let status = null;
+      const written = await this._modifyJob(job_id, (job, { cancelled }) => {
+        status = job.status;
+        if (cancelled || !ACTIVE_JOB_STATUSES.includes(job.status)) {
+          detached = [];
+          return false;
+        }
+        const matches = (r) => (!batch_id || r.batch_id === batch_id) && (!user_id || r.user_id === user_id);
+        const requesters = job.requesters || [];
+        detached = requesters.filter(matches);
+        // The last requester leaving cancels the job below
+        if (detached.length === 0 || detached.length === requesters.length) {
+          return false;
+        }
+        job.requesters = requesters.filter((r) => !matches(r));
+        job.detached_requesters = [
+          ...(job.detached_requesters || []),
+          ...detached.map((r) => ({ ...r, detached_at: now })),
+        ];
+      });
+      if (!written && detached.length === 0) {
+        const job = await this.getJob(job_id);
+        if (!job) {
+          return false;
+        }
+        // Not one of the job's requesters. Jobs from before every request was listed have none.
+        if (!ACTIVE_JOB_STATUSES.includes(status) || (job.requesters || []).length > 0) {
+          return { cancelled: false, detached: [], status };
+        }
+      }
+      if (written) {
+        const { job } = written;
+        const remainingUsers = new Set(job.requesters.map((r) => r.user_id));
+        const leftUsers = [...new Set(detached.map((r) => r.user_id).filter((id) => id && !remainingUsers.has(id)))];
+        for (const leftUser of leftUsers) {
+          await this.redis.zRem(this._indexKey('user', leftUser), job_id);
+        }
+        await this._publishEvent('update', job);
+        return { cancelled: false, detached };
+      }
+    }
+
+    // The flag is set in the same MULTI as the status, and only while the job is still active:
+    // from then on no other write can set the job back to another status
+    let status = null;
+    const written = await this._modifyJob(
+      job_id,
+      (job, { cancelled }) => {
+        status = job.status;
+        if (cancelled || !ACTIVE_JOB_STATUSES.includes(job.status)) {
+          return false;
+        }
+        job.status = 'cancelled';
+        job.next_retry_at = null;
+      },
+      { also: (multi) => multi.set(this._cancelKey(job_id), new Date().toISOString()) }
+    );
+    if (!written) {
+      return status === null ? false : { cancelled: false, detached: [], status };
+    }
+    await this._indexJob(written.job);
+    await this._publishEvent('status', written.job);
+    await this._releaseFingerprint(job_id);
+    await this.redis.lRem(this.QUEUE_KEY, 0, job_id);
+    await this.redis.zRem(this.DELAYED_KEY, job_id);
+    await this.enqueueWebhook(job_id, 'job.cancelled');
+    return { cancelled: true, detached: [] };
+  }
+
+  // Called by the worker once a cancelled job has actually stopped
+  async recordCancellation(job_id, partial) {
+    const now = new Date().toISOString();
+    return this.updateJob(job_id, (job) => {
+      const attempts = job.attempts || [];
+      const current = attempts[attempts.length - 1];
+      if (current && !current.ended_at) {
+        Object.assign(current, { ended_at: now, error: 'Cancelled', error_class: 'cancelled' });
+      }
+
+      return {
+        attempts,
+        stage_timings: this._endStageTiming(job, now),
+        cancellation: { ...partial, stopped_at: now },
+        message: `Cancelled during ${partial.stage}`,
+      };
+    });
+  }
+
+  // resume: keep the stage checkpoints so the worker picks up where the job stopped.
+  // Only failed and cancelled jobs are requeued, returns false for any other job.
+  async requeueJob(job_id, { resume = false } = {}) {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return false;
+    }
+
+    // Checked before anything is cleared: the stages of a job that is still going are in use
+    const current = await this.getJob(job_id);
+    if (!current || !REQUEUEABLE_JOB_STATUSES.includes(current.status)) {
+      return false;
+    }
+
+    if (!resume) {
+      await this.clearCheckpoint(job_id);
+    } else {
+      // Stage tasks still queued for the old run are dropped, the next scrape starts a new one
+      await this.clearStages(job_id);
+    }
+
+    // A manual requeue starts a fresh round of attempts, the history is kept. Only a cancelled
+    // job has the cancel flag, and it is requeued either way.
+    await this.redis.del(this._cancelKey(job_id));
+    const written = await this._modifyJob(job_id, (job) => {
+      if (!REQUEUEABLE_JOB_STATUSES.includes(job.status)) {
+        return false;
+      }
+      job.status = 'queued';
+      job.error = null;
+      job.worker_id = null;
+      job.attempt = 0;
+      job.next_retry_at = null;
+      job.dead_lettered_at = null;
+      job.progress = this._emptyProgress(job.max_ads);
+      job.message = resume ? 'Requeued, resuming from checkpoint' : 'Requeued';
+    });
+    if (!written) {
+      return false;
+    }
+
+    const { job } = written;
+    await this._indexJob(job);
+    await this.ackJob(job_id);
+    await this.redis.zRem(this.DELAYED_KEY, job_id);
+    await this.redis.lRem(this.DEAD_LETTER_KEY, 0, job_id);
+    if (job.fingerprint) {
+      await this.redis.set(this.DEDUPE_PREFIX + job.fingerprint, job_id, { NX: true });
+    }
+    await this.redis.lPush(this.QUEUE_KEY, job_id);
+    await this._publishEvent('status', job);
+    return true;
+  }
+
+  // Stage checkpoints: the Apify run in the job's checkpoint hash, plus per-ad
+  // analysis results and inserted DB ids keyed by ad_archive_id
+  _checkpointKey(job_id, part = null) {
+    return `${this.JOB_PREFIX}${job_id}:checkpoint${part ? `:${part}` : ''}`;
+  }
+
+  async getCheckpoint(job_id) {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return null;
+    }
+
+    const scrape = await this.redis.hGet(this._checkpointKey(job_id), 'scrape');
+    const analysis = await this.redis.hGetAll(this._checkpointKey(job_id, 'analysis'));
+    const inserted = await this.redis.hGetAll(this._checkpointKey(job_id, 'inserted'));
+
+    return {
+      scrape: scrape ? JSON.parse(scrape) : null,
+      analysis: Object.fromEntries(Object.entries(analysis).map(([adKey, value]) => [adKey, JSON.parse(value)])),
+      inserted,
+    };
+  }
+
+  async getCheckpointSummary(job_id) {
+    const checkpoint = await this.getCheckpoint(job_id);
+    if (!checkpoint) {
+      return null;
+    }
+    return {
+      scrape: checkpoint.scrape,
+      ads_analyzed: Object.keys(checkpoint.analysis).length,
+      ads_inserted: Object.keys(checkpoint.inserted).length,
+    };
+  }
+
+  async saveScrapeCheckpoint(job_id, scrape) {
+    await this.redis.hSet(this._checkpointKey(job_id), 'scrape', JSON.stringify(scrape));
+  }
+
+  async saveAnalysisCheckpoint(job_id, adKey, analysis) {
+    await this.redis.hSet(this._checkpointKey(job_id, 'analysis'), adKey, JSON.stringify(analysis));
+  }
+
+  async saveInsertCheckpoint(job_id, adKey, adId) {
+    await this.redis.hSet(this._checkpointKey(job_id, 'inserted'), adKey, String(adId));
+  }
+
+  // A failed or expired Apify run can't be resumed, the next attempt starts a new one
+  async clearScrapeCheckpoint(job_id) {
+    await this.redis.hDel(this._checkpointKey(job_id), 'scrape');
+  }
+
+  async clearCheckpoint(job_id) {
+    await this.redis.del([
+      this._checkpointKey(job_id),
+      this._checkpointKey(job_id, 'analysis'),
+      this._checkpointKey(job_id, 'inserted'),
+    ]);
+    await this.clearStages(job_id);
+  }
+
+  // Stage queues mirror the job queue: <stage>:queue, <stage>:processing and <stage>:owners
+  _stageQueueKeys(stage) {
+    const prefix = `${this.STAGE_PREFIX}${stage}`;
+    return {
+      queue: `${prefix}:queue`,
+      processing: `${prefix}:processing`,
+      owners: `${prefix}:owners`,
+    };
+  }
+
+  _stageKey(job_id, part = null) {
+    return `${this.JOB_PREFIX}${job_id}:stages${part ? `:${part}` : ''}`;
+  }
+
+  // Stores the scraped ads and starts a new stage run for the job. Ads that already have an
+  // analysis checkpoint get no task; with nothing left to analyze the job goes straight to persist.
+  // metrics: scrape usage to start the run's usage totals with (see recordStageMetrics)
+  // All of a job's ads at once: beginStages, appendStageAds and finishStages in one go
+  async startStages(job_id, ads, { analyze = true, metrics = {} } = {}) {
+    const run = await this.beginStages(job_id);
+    if (!run) {
+      return null;
+    }
+    await this.appendStageAds(job_id, run, ads, { analyze });
+    return this.finishStages(job_id, run, { metrics });
+  }
+
+  // Starts a new stage run for ads that arrive page by page while the job is still scraping.
+  // Tasks left from an earlier run are ignored once the run id changes.
+  async beginStages(job_id) {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return null;
+    }
+
+    const run = uuidv4().substring(0, 8);
+    await this.redis.del([
+      this._stageKey(job_id, 'ads'),
+      this._stageKey(job_id, 'analyzed'),
+      this._stageKey(job_id, 'metrics'),
+    ]);
+    await this.redis.hSet(this._stageKey(job_id), {
+      run,
+      ads_total: '0',
+      analyze_total: '0',
+      scrape_done: '0',
+      started_at: new Date().toISOString(),
+    });
+    return run;
+  }
+
+  // Stores a page of scraped ads after the ones already stored and queues their analysis,
+  // skipping ads an earlier attempt already analyzed
+  async appendStageAds(job_id, run, ads, { analyze = true } = {}) {
+    if (ads.length === 0) {
+      return { ads: 0, analyze: 0 };
+    }
+
+    const total = await this.redis.hIncrBy(this._stageKey(job_id), 'ads_total', ads.length);
+    const first = total - ads.length;
+    await this.redis.hSet(
+      this._stageKey(job_id, 'ads'),
+      Object.fromEntries(ads.map((ad, i) => [String(first + i), JSON.stringify(ad)]))
+    );
+
+    let indexes = [];
+    if (analyze) {
+      const adKeys = ads.map((ad) => (ad.ad_archive_id ? String(ad.ad_archive_id) : null));
+      const keyed = adKeys.filter(Boolean);
+      const analyzed = keyed.length > 0 ? await this.redis.hmGet(this._checkpointKey(job_id, 'analysis'), keyed) : [];
+      const done = new Set(keyed.filter((adKey, i) => analyzed[i]));
+      indexes = ads.map((ad, i) => first + i).filter((index, i) => !(adKeys[i] && done.has(adKeys[i])));
+    }
+
+    if (indexes.length > 0) {
+      await this.redis.hIncrBy(this._stageKey(job_id), 'analyze_total', indexes.length);
+      const { queue } = this._stageQueueKeys('analyze');
+      await this.redis.lPush(queue, indexes.map((i) => `${job_id}:${run}:${i}`));
+    }
+
+    return { ads: ads.length, analyze: indexes.length };
+  }
+
+  // Marks the scrape as done once every page was appended. Persistence is queued here when
+  // analysis already caught up, otherwise by the last analyze task (see completeAnalysisTask).
+  async finishStages(job_id, run, { metrics = {} } = {}) {
+    await this.recordStageMetrics(job_id, metrics);
+
+    const analyzeTotal = parseInt((await this.redis.hGet(this._stageKey(job_id), 'analyze_total')) || '0', 10);
+    if (analyzeTotal > 0) {
+      await this.advanceStage(job_id, 'analyze');
+    }
+
+    const results = await this.redis
+      .multi()
+      .hSet(this._stageKey(job_id), 'scrape_done', '1')
+      .sCard(this._stageKey(job_id, 'analyzed'))
+      .exec();
+    if (Number(results[1]) >= analyzeTotal) {
+      await this.enqueuePersist(job_id, run);
+    }
+
+    return { run, analyze: analyzeTotal };
+  }
+
+  async enqueuePersist(job_id, run) {
+    await this.advanceStage(job_id, 'persist');
+    const { queue } = this._stageQueueKeys('persist');
+    await this.redis.lPush(queue, `${job_id}:${run}`);
+  }
+
+  // Ends the job's current stage and starts the next one in stage_timings
+  async advanceStage(job_id, stage) {
+    const now = new Date().toISOString();
+    return this.updateJob(job_id, (job) => {
+      const timings = this._endStageTiming(job, now);
+      timings[stage] = { started_at: now, ended_at: null };
+      return { stage, stage_timings: timings };
+    });
+  }
+
+  // Copy of job.stage_timings with the current stage's end time set, if it is still open
+  _endStageTiming(job, endedAt) {
+    const timings = { ...(job.stage_timings || {}) };
+    const current = job.stage && timings[job.stage];
+    if (current && !current.ended_at) {
+      timings[job.stage] = { ...current, ended_at: endedAt };
+    }
+    return timings;
+  }
+
+  // The run a stage task belongs to, null once the job was requeued or purged
+  async getStageRun(job_id) {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return null;
+    }
+
+    return this.redis.hGet(this._stageKey(job_id), 'run');
+  }
+
+  async getScrapedAd(job_id, index) {
+    const data = await this.redis.hGet(this._stageKey(job_id, 'ads'), String(index));
+    return data ? JSON.parse(data) : null;
+  }
+
+  // count scraped ads from index start on, in scrape order, with results from the analysis
+  // checkpoint merged in. The persist stage reads a job's ads a range at a time.
+  async getScrapedAds(job_id, start, count) {
+    if (count <= 0) {
+      return [];
+    }
+    const indexes = Array.from({ length: count }, (_, i) => String(start + i));
+    const ads = (await this.redis.hmGet(this._stageKey(job_id, 'ads'), indexes))
+      .filter(Boolean)
+      .map((value) => JSON.parse(value));
+
+    const adKeys = ads.map((ad) => (ad.ad_archive_id ? String(ad.ad_archive_id) : null));
+    const keyed = adKeys.filter(Boolean);
+    const analyses = keyed.length > 0 ? await this.redis.hmGet(this._checkpointKey(job_id, 'analysis'), keyed) : [];
+    const analysis = Object.fromEntries(keyed.map((adKey, i) => [adKey, analyses[i]]));
+    ads.forEach((ad, i) => {
+      if (adKeys[i] && analysis[adKeys[i]]) {
+        ad.analysis = JSON.parse(analysis[adKeys[i]]);
+      }
+    });
+    return ads;
+  }
+
+  // Marks one analyze task done and returns the run's counts. Done indexes are a set so a
+  // task redelivered after a crash isn't counted twice, and the MULTI makes exactly one
+  // caller, this or finishStages, see the run reach its total.
+  async completeAnalysisTask(job_id, index) {
+    const results = await this.redis
+      .multi()
+      .sAdd(this._stageKey(job_id, 'analyzed'), String(index))
+      .sCard(this._stageKey(job_id, 'analyzed'))
+      .hmGet(this._stageKey(job_id), ['analyze_total', 'ads_total', 'scrape_done'])
+      .exec();
+
+    const added = Number(results[0]) === 1;
+    const done = Number(results[1]);
+    const [total, adsTotal] = results[2].slice(0, 2).map((value) => parseInt(value || '0', 10));
+    // More ads may still arrive while the job is scraping
+    const scraping = results[2][2] === '0';
+    return {
+      added,
+      done,
+      total,
+      // Ads skipped because an earlier attempt analyzed them count as analyzed
+      analyzed: adsTotal - total + done,
+      finished: added && !scraping && done === total,
+    };
+  }
+
+  // Adds to the run's usage totals (tokens, whisper_seconds, apify_usd, stage durations)
+  async recordStageMetrics(job_id, metrics) {
+    const entries = Object.entries(metrics).filter(([, value]) => typeof value === 'number' && value > 0);
+    if (entries.length === 0) {
+      return;
+    }
+    const multi = this.redis.multi();
+    for (const [field, value] of entries) {
+      multi.hIncrByFloat(this._stageKey(job_id, 'metrics'), field, value);
+    }
+    await multi.exec();
+  }
+
+  async getStageMetrics(job_id) {
+    const metrics = await this.redis.hGetAll(this._stageKey(job_id, 'metrics'));
+    return Object.fromEntries(Object.entries(metrics).map(([field, value]) => [field, parseFloat(value)]));
+  }
+
+  async getStageSummary(job_id) {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return null;
+    }
+
+    const stages = await this.redis.hGetAll(this._stageKey(job_id));
+    if (!stages.run) {
+      return null;
+    }
+    const analyzed = await this.redis.sCard(this._stageKey(job_id, 'analyzed'));
+    const total = parseInt(stages.analyze_total, 10);
+    return {
+      run: stages.run,
+      started_at: stages.started_at,
+      ads: parseInt(stages.ads_total, 10),
+      scraping: stages.scrape_done === '0',
+      analyze: { total, done: analyzed, pending: Math.max(total - analyzed, 0) },
+    };
+  }
+
+  async clearStages(job_id) {
+    await this.redis.del([
+      this._stageKey(job_id),
+      this._stageKey(job_id, 'ads'),
+      this._stageKey(job_id, 'analyzed'),
+      this._stageKey(job_id, 'metrics'),
+    ]);
+  }
+
+  async claimStageTask(stage, worker_id) {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return null;
+    }
+
+    const keys = this._stageQueueKeys(stage);
+    return this.redis.eval(CLAIM_JOB_SCRIPT, {
+      keys: [keys.queue, keys.processing, keys.owners],
+      arguments: [worker_id],
+    });
+  }
+
+  async ackStageTask(stage, task_id) {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return false;
+    }
+
+    const keys = this._stageQueueKeys(stage);
+    await this.redis.lRem(keys.processing, 0, task_id);
+    await this.redis.hDel(keys.owners, task_id);
+    return true;
+  }
+
+  // Puts a task back at the consuming end of its stage queue (worker shutdown)
+  async releaseStageTask(stage, task_id) {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return false;
+    }
+
+    const keys = this._stageQueueKeys(stage);
+    const removed = await this.redis.lRem(keys.processing, 0, task_id);
+    await this.redis.hDel(keys.owners, task_id);
+    if (removed > 0) {
+      await this.redis.rPush(keys.queue, task_id);
+    }
+    return removed > 0;
+  }
+
+  // Same as recoverOrphanedJobs for the stage queues. The job itself stays running.
+  async recoverOrphanedStageTasks() {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return [];
+    }
+
+    const recovered = [];
+    for (const stage of PIPELINE_STAGES) {
+      const keys = this._stageQueueKeys(stage);
+      const taskIds = await this.redis.lRange(keys.processing, 0, -1);
+
+      for (const taskId of taskIds) {
+        const owner = await this.redis.hGet(keys.owners, taskId);
+        if (owner && (await this.isWorkerAlive(owner))) {
+          continue;
+        }
+
+        const removed = await this.redis.lRem(keys.processing, 0, taskId);
+        await this.redis.hDel(keys.owners, taskId);
+        if (removed === 0) {
+          continue;
+        }
+
+        await this.redis.rPush(keys.queue, taskId);
+        recovered.push(`${stage}:${taskId}`);
+      }
+    }
+
+    return recovered;
+  }
+
+  // Queued and in-flight task counts per stage
+  async getStageQueueStats() {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return {};
+    }
+
+    const stats = {};
+    for (const stage of PIPELINE_STAGES) {
+      const keys = this._stageQueueKeys(stage);
+      stats[stage] = {
+        queued: await this.redis.lLen(keys.queue),
+        processing: await this.redis.lLen(keys.processing),
+      };
+    }
+    return stats;
+  }
+
+  async createBatch(batchData) {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return null;
+    }
+
+    const { batch_id, job_ids, source = 'api' } = batchData;
+    const batch = {
+      batch_id,
+      source,
+      job_ids,
+      created_at: new Date().toISOString(),
+    };
+
+    await this.redis.hSet(this.BATCH_PREFIX + batch_id, {
+      data: JSON.stringify(batch),
+    });
+    await this.redis.lPush(this.BATCHES_KEY, batch_id);
+
+    return batch;
+  }
+
+  async getBatch(batch_id) {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return null;
+    }
+
+    const data = await this.redis.hGet(this.BATCH_PREFIX + batch_id, 'data');
+    if (!data) {
+      return null;
+    }
+
+    return JSON.parse(data);
+  }
+
+  async getAllBatches(limit = 50) {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return [];
+    }
+
+    const batchIds = await this.redis.lRange(this.BATCHES_KEY, 0, limit - 1);
+    const batches = [];
+
+    for (const batchId of batchIds) {
+      const batch = await this.getBatch(batchId);
+      if (batch) {
+        batches.push(batch);
+      }
+    }
+
+    return batches;
+  }
+
+  // Aggregates the status and ad counters of every job in the batch. Jobs no longer in Redis
+  // are looked up in the history store when one is given, jobs deleted outright are left out.
+  async getBatchStatus(batch_id, history = null) {
+    const batch = await this.getBatch(batch_id);
+    if (!batch) {
+      return null;
+    }
+
+    const counts = {
+      queued: 0,
+      running: 0,
+      retrying: 0,
+      completed: 0,
+      failed: 0,
+      cancelled: 0,
+    };
+    const ads = {
+      scraped: 0,
+      analyzed: 0,
+      inserted: 0,
+      failed: 0,
+    };
+    const jobs = [];
+
+    for (const jobId of batch.job_ids) {
+      let job = await this.getJob(jobId);
+      let archived = false;
+      if (!job && history) {
+        try {
+          const record = await history.get(jobId);
+          job = record ? record.data : null;
+          archived = Boolean(job);
+        } catch (error) {
+          workerLogger.warn(`[History] Could not look up archived job ${jobId}: ${error.message}`);
+        }
+      }
+      if (!job) {
+        continue;
+      }
+
+      // A shared job this batch was detached from goes on for the others, not for this batch
+      const detached =
+        (job.detached_requesters || []).some((r) => r.batch_id === batch_id) &&
+        !(job.requesters || []).some((r) => r.batch_id === batch_id);
+      const status = detached ? 'cancelled' : job.status;
+      if (counts.hasOwnProperty(status)) {
+        counts[status]++;
+      }
+
+      const progress = job.progress || {};
+      ads.scraped += progress.scraped || 0;
+      ads.analyzed += progress.analyzed || 0;
+      ads.inserted += progress.inserted || 0;
+      ads.failed += progress.failed || 0;
+
+      jobs.push({
+        job_id: job.job_id,
+        page_id: job.page_id,
+        status,
+        progress,
+        error: job.error,
+        created_at: job.created_at,
+        completed_at: job.completed_at,
+        archived,
+      });
+    }
+
+    return {
+      batch_id: batch.batch_id,
+      source: batch.source,
+      created_at: batch.created_at,
+      status: this._batchStatus(counts, jobs.length),
+      total_jobs: jobs.length,
+      counts,
+      ads,
+      jobs,
+    };
+  }
+
+  async cancelBatch(batch_id) {
+    const batch = await this.getBatch(batch_id);
+    if (!batch) {
+      return null;
+    }
+
+    let count = 0;
+    for (const jobId of batch.job_ids) {
+      const job = await this.getJob(jobId);
+      if (job && ACTIVE_JOB_STATUSES.includes(job.status)) {
+        // A job other batches joined keeps going for them
+        const outcome = await this.cancelJob(jobId, { batch_id });
+        if (outcome && (outcome.cancelled || outcome.detached.length > 0)) {
+          count++;
+        }
+      }
+    }
+
+    return count;
+  }
+
+  async requeueBatch(batch_id, options = {}) {
+    const batch = await this.getBatch(batch_id);
+    if (!batch) {
+      return null;
+    }
+
+    let count = 0;
+    for (const jobId of batch.job_ids) {
+      const job = await this.getJob(jobId);
+      if (job && REQUEUEABLE_JOB_STATUSES.includes(job.status) && (await this.requeueJob(jobId, options))) {
+        count++;
+      }
+    }
+
+    return count;
+  }
+
+  _batchStatus(counts, total) {
+    const active = counts.queued + counts.running + counts.retrying;
+    if (active > 0) {
+      return active === counts.queued && counts.queued === total ? 'queued' : 'running';
+    }
+    if (total > 0 && counts.completed === total) {
+      return 'completed';
+    }
+    if (total > 0 && counts.failed === total) {
+      return 'failed';
+    }
+    if (total > 0 && counts.cancelled === total) {
+      return 'cancelled';
+    }
+    return total > 0 ? 'completed_with_errors' : 'empty';
+  }
+
+  // Queues a callback delivery for jobs created with a callback_url.
+  // The payload is captured now, delivery happens in the worker (see core/webhooks.js).
+  async enqueueWebhook(job_id, event) {
+    const job = await this.getJob(job_id);
+    if (!job || !job.callback_url) {
+      return null;
+    }
+
+    const now = new Date();
+    const deliveryId = uuidv4();
+    const delivery = {
+      delivery_id: deliveryId,
+      job_id,
+      event,
+      url: job.callback_url,
+      signed: Boolean(await this.redis.hGet(this.JOB_PREFIX + job_id, 'callback_secret')),
+      payload: {
+        event,
+        delivery_id: deliveryId,
+        job_id,
+        batch_id: job.batch_id || null,
+        page_id: job.page_id,
+        status: job.status,
+        result: job.result,
+        error: job.error,
+        progress: job.progress,
+        created_at: job.created_at,
+        started_at: job.started_at,
+        completed_at: job.completed_at,
+        timestamp: now.toISOString(),
+      },
+      status: 'pending',
+      attempts: [],
+      next_attempt_at: now.toISOString(),
+      created_at: now.toISOString(),
+      delivered_at: null,
+    };
+
+    await this.saveWebhookDelivery(delivery);
+    await this.redis.rPush(this.JOB_PREFIX + job_id + ':webhooks', deliveryId);
+    await this.redis.zAdd(this.WEBHOOK_PENDING_KEY, { score: now.getTime(), value: deliveryId });
+
+    return delivery;
+  }
+
+  async getWebhookDelivery(delivery_id) {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return null;
+    }
+
+    const data = await this.redis.hGet(this.WEBHOOK_PREFIX + delivery_id, 'data');
+    return data ? JSON.parse(data) : null;
+  }
+
+  async saveWebhookDelivery(delivery) {
+    await this.redis.hSet(this.WEBHOOK_PREFIX + delivery.delivery_id, {
+      data: JSON.stringify(delivery),
+    });
+  }
+
+  async getWebhookDeliveries(job_id) {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return [];
+    }
+
+    const deliveryIds = await this.redis.lRange(this.JOB_PREFIX + job_id + ':webhooks', 0, -1);
+    const deliveries = [];
+
+    for (const deliveryId of deliveryIds) {
+      const delivery = await this.getWebhookDelivery(deliveryId);
+      if (delivery) {
+        deliveries.push(delivery);
+      }
+    }
+
+    return deliveries;
+  }
+
+  async getCallbackSecret(job_id) {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return null;
+    }
+
+    return this.redis.hGet(this.JOB_PREFIX + job_id, 'callback_secret');
+  }
+
+  // Live updates for SSE clients. Publishing must never break a job write.
+  async _publishEvent(type, job) {
+    try {
+      await this.redis.publish(
+        this.EVENTS_CHANNEL,
+        JSON.stringify({
+          type,
+          job_id: job.job_id,
+          batch_id: job.batch_id || null,
+          status: job.status,
+          progress: job.progress || null,
+          message: job.message || null,
+          error: job.error || null,
+          timestamp: new Date().toISOString(),
+        })
+      );
+    } catch (error) {
+      workerLogger.warn(`[Redis] Failed to publish job event: ${error.message}`);
+    }
+  }
+
+  _emptyProgress(total) {
+    return {
+      scraped: 0,
+      analyzed: 0,
+      inserted: 0,
+      pending: 0,
+      failed: 0,
+      total,
+    };
   }
 
   async close() {
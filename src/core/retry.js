@@ -0,0 +1,108 @@
+import config from '../config/index.js';
+
+export const ERROR_CLASSES = [
+  'rate_limit',
+  'usage_limit',
+  'network',
+  'timeout',
+  'server_error',
+  'apify_run_failed',
+  'no_ads',
+  'unknown',
+];
+
+export const DEFAULT_RETRY_POLICY = {
+  max_attempts: config.JOB_MAX_ATTEMPTS,
+  backoff_ms: config.JOB_RETRY_BACKOFF_MS,
+  backoff_multiplier: 2,
+  max_backoff_ms: config.JOB_RETRY_MAX_BACKOFF_MS,
+  retryable_errors: ['rate_limit', 'network', 'timeout', 'server_error'],
+};
+
+// Maps a scraper/pipeline error to one of ERROR_CLASSES
+export function classifyError(error) {
+  const message = (error?.message || String(error || '')).toLowerCase();
+  const statusCode = error?.statusCode || error?.response?.status;
+  const code = error?.code;
+
+  if (message.includes('usage limit')) {
+    return 'usage_limit';
+  }
+  if (statusCode === 429 || message.includes('rate limit') || message.includes('too many requests')) {
+    return 'rate_limit';
+  }
+  if (code === 'ETIMEDOUT' || code === 'ECONNABORTED' || message.includes('timed out') || message.includes('timeout')) {
+    return 'timeout';
+  }
+  if (
+    ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE'].includes(code) ||
+    message.includes('socket hang up') ||
+    message.includes('network')
+  ) {
+    return 'network';
+  }
+  if (statusCode >= 500) {
+    return 'server_error';
+  }
+  if (message.includes('apify run failed')) {
+    return 'apify_run_failed';
+  }
+  if (message.includes('no ads found')) {
+    return 'no_ads';
+  }
+  return 'unknown';
+}
+
+// Merges a user supplied policy with the defaults. Returns { policy, error }.
+export function normalizeRetryPolicy(input = null) {
+  const policy = { ...DEFAULT_RETRY_POLICY, retryable_errors: [...DEFAULT_RETRY_POLICY.retryable_errors] };
+  if (!input) {
+    return { policy, error: null };
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { policy: null, error: 'retry must be an object' };
+  }
+
+  for (const key of ['max_attempts', 'backoff_ms', 'max_backoff_ms']) {
+    if (input[key] !== undefined) {
+      const value = parseInt(input[key], 10);
+      if (Number.isNaN(value) || value < (key === 'max_attempts' ? 1 : 0)) {
+        return { policy: null, error: `retry.${key} must be a ${key === 'max_attempts' ? 'positive' : 'non-negative'} number` };
+      }
+      policy[key] = value;
+    }
+  }
+
+  if (policy.max_attempts > config.JOB_MAX_ATTEMPTS_LIMIT) {
+    return { policy: null, error: `retry.max_attempts cannot exceed ${config.JOB_MAX_ATTEMPTS_LIMIT}` };
+  }
+
+  if (input.backoff_multiplier !== undefined) {
+    const value = Number(input.backoff_multiplier);
+    if (Number.isNaN(value) || value < 1) {
+      return { policy: null, error: 'retry.backoff_multiplier must be at least 1' };
+    }
+    policy.backoff_multiplier = value;
+  }
+
+  if (input.retryable_errors !== undefined) {
+    if (!Array.isArray(input.retryable_errors)) {
+      return { policy: null, error: 'retry.retryable_errors must be an array' };
+    }
+    const unknown = input.retryable_errors.filter((c) => !ERROR_CLASSES.includes(c));
+    if (unknown.length > 0) {
+      return { policy: null, error: `Unknown error classes: ${unknown.join(', ')}. Allowed: ${ERROR_CLASSES.join(', ')}` };
+    }
+    policy.retryable_errors = input.retryable_errors;
+  }
+
+  return { policy, error: null };
+}
+
+// Delay before the retry that follows the given (1-based) attempt
+export function computeBackoff(policy, attempt) {
+  const delay = policy.backoff_ms * Math.pow(policy.backoff_multiplier, Math.max(attempt - 1, 0));
+  return Math.min(Math.round(delay), policy.max_backoff_ms);
+}
+
+export default { ERROR_CLASSES, DEFAULT_RETRY_POLICY, classifyError, normalizeRetryPolicy, computeBackoff };
@@ -0,0 +1,406 @@
+import { v4 as uuidv4 } from 'uuid';
+import cronParser from 'cron-parser';
+import config from '../config/index.js';
+import { getRedisClient, JobManager, ACTIVE_JOB_STATUSES } from './redis.js';
+import { workerLogger } from './logger.js';
+import { buildPageAdsUrl } from '../scraper/adLibrary.js';
+
+const INTERVAL_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+// Parses "30m", "24h" or "7d" into milliseconds, returns null if invalid
+export function parseInterval(every) {
+  const match = String(every || '').trim().match(/^(\d+)\s*([mhd])$/i);
+  if (!match) {
+    return null;
+  }
+  const ms = parseInt(match[1], 10) * INTERVAL_UNITS[match[2].toLowerCase()];
+  return ms > 0 ? ms : null;
+}
+
+export function validateCron(cron, timezone = 'UTC') {
+  try {
+    cronParser.parseExpression(cron, { tz: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+export function computeNextRun(schedule, from = new Date()) {
+  if (schedule.cron) {
+    const interval = cronParser.parseExpression(schedule.cron, {
+      currentDate: from,
+      tz: schedule.timezone || 'UTC',
+    });
+    return interval.next().toDate().toISOString();
+  }
+
+  const intervalMs = parseInterval(schedule.every);
+  if (!intervalMs) {
+    return null;
+  }
+  return new Date(from.getTime() + intervalMs).toISOString();
+}
+
+export class ScheduleManager {
+  constructor() {
+    this.SCHEDULES_KEY = 'spider:schedules';
+    this.SCHEDULE_PREFIX = 'spider:schedule:';
+    this.DUE_KEY = 'spider:schedules:due';
+    this.LOCK_PREFIX = 'spider:schedule:lock:';
+    this.redis = null;
+  }
+
+  async init() {
+    this.redis = await getRedisClient();
+    return this.redis !== null;
+  }
+
+  isConnected() {
+    if (!this.redis) {
+      return false;
+    }
+    if (!this.redis.isOpen) {
+      this.redis = null;
+      return false;
+    }
+    return true;
+  }
+
+  async createSchedule(scheduleData) {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return null;
+    }
+
+    const {
+      page_id,
+      user_brand_id = null,
+      user_id = null,
+      brand_id = null,
+      every = null,
+      cron = null,
+      timezone = 'UTC',
+      period,
+      max_ads = config.MAX_ADS_PER_BRAND,
+      save_json = true,
+      save_db = true,
+      auto_analyze = true,
+      analysis_mode = 'balanced',
+      enabled = true,
+    } = scheduleData;
+
+    const now = new Date();
+    const schedule = {
+      schedule_id: uuidv4().substring(0, 8),
+      page_id: String(page_id),
+      user_brand_id,
+      user_id,
+      brand_id,
+      every: cron ? null : every,
+      cron: cron || null,
+      timezone,
+      period,
+      max_ads,
+      save_json,
+      save_db,
+      auto_analyze,
+      analysis_mode,
+      enabled,
+      next_run_at: null,
+      last_run_at: null,
+      last_job_id: null,
+      last_error: null,
+      created_at: now.toISOString(),
+      updated_at: now.toISOString(),
+    };
+    schedule.next_run_at = enabled ? computeNextRun(schedule, now) : null;
+
+    await this._save(schedule);
+    await this.redis.sAdd(this.SCHEDULES_KEY, schedule.schedule_id);
+    await this._syncDueIndex(schedule);
+
+    return schedule;
+  }
+
+  async getSchedule(schedule_id) {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return null;
+    }
+
+    const data = await this.redis.hGet(this.SCHEDULE_PREFIX + schedule_id, 'data');
+    if (!data) {
+      return null;
+    }
+
+    const schedule = JSON.parse(data);
+    // Older schedules stored a last_status that stayed "queued", last_job.status replaces it
+    delete schedule.last_status;
+    return schedule;
+  }
+
+  async getAllSchedules(filters = {}) {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return [];
+    }
+
+    const scheduleIds = await this.redis.sMembers(this.SCHEDULES_KEY);
+    const schedules = [];
+
+    for (const scheduleId of scheduleIds) {
+      const schedule = await this.getSchedule(scheduleId);
+      if (!schedule) {
+        continue;
+      }
+      if (filters.page_id && schedule.page_id !== String(filters.page_id)) {
+        continue;
+      }
+      if (filters.user_id && schedule.user_id !== filters.user_id) {
+        continue;
+      }
+      schedules.push(schedule);
+    }
+
+    // Soonest next run first, disabled schedules last
+    schedules.sort((a, b) => {
+      if (!a.next_run_at) return 1;
+      if (!b.next_run_at) return -1;
+      return new Date(a.next_run_at) - new Date(b.next_run_at);
+    });
+
+    return schedules;
+  }
+
+  async updateSchedule(schedule_id, updates) {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return null;
+    }
+
+    const schedule = await this.getSchedule(schedule_id);
+    if (!schedule) {
+      return null;
+    }
+
+    const timingChanged = ['every', 'cron', 'timezone', 'enabled'].some(
+      (key) => updates[key] !== undefined && updates[key] !== schedule[key]
+    );
+
+    Object.assign(schedule, updates, { updated_at: new Date().toISOString() });
+    if (updates.cron) {
+      schedule.every = null;
+    } else if (updates.every) {
+      schedule.cron = null;
+    }
+
+    if (timingChanged) {
+      schedule.next_run_at = schedule.enabled ? computeNextRun(schedule) : null;
+    }
+
+    await this._save(schedule);
+    await this._syncDueIndex(schedule);
+
+    return schedule;
+  }
+
+  async deleteSchedule(schedule_id) {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return false;
+    }
+
+    await this.redis.del(this.SCHEDULE_PREFIX + schedule_id);
+    await this.redis.sRem(this.SCHEDULES_KEY, schedule_id);
+    await this.redis.zRem(this.DUE_KEY, schedule_id);
+    return true;
+  }
+
+  // Enqueue a job for the schedule right away without moving its next run.
+  // Returns { job }, or { job: null, reason } with reason one of unavailable, not_found,
+  // active (the previous run hasn't finished) or create_failed.
+  async runNow(schedule_id) {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return { job: null, reason: 'unavailable' };
+    }
+
+    const schedule = await this.getSchedule(schedule_id);
+    if (!schedule) {
+      return { job: null, reason: 'not_found' };
+    }
+
+    const result = await this._enqueueJob(schedule);
+    await this._save(schedule);
+    return result;
+  }
+
+  // Called from the worker loop. Each due schedule is locked while it is
+  // enqueued so several workers never create the same run twice.
+  async enqueueDueSchedules() {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return 0;
+    }
+
+    const now = new Date();
+    const dueIds = await this.redis.zRangeByScore(this.DUE_KEY, 0, now.getTime());
+    let count = 0;
+
+    for (const scheduleId of dueIds) {
+      const locked = await this.redis.set(this.LOCK_PREFIX + scheduleId, '1', {
+        NX: true,
+        PX: config.SCHEDULER_LOCK_TTL_MS,
+      });
+      if (!locked) {
+        continue;
+      }
+
+      try {
+        const schedule = await this.getSchedule(scheduleId);
+        if (!schedule || !schedule.enabled) {
+          await this.redis.zRem(this.DUE_KEY, scheduleId);
+          continue;
+        }
+
+        const { job } = await this._enqueueJob(schedule);
+        if (job) {
+          count++;
+        }
+
+        // Missed runs are not backfilled: the next run is computed from now
+        schedule.next_run_at = computeNextRun(schedule, now);
+        await this._save(schedule);
+        await this._syncDueIndex(schedule);
+      } catch (error) {
+        workerLogger.error(`[Scheduler] Error running schedule ${scheduleId}: ${error.message}`);
+      } finally {
+        await this.redis.del(this.LOCK_PREFIX + scheduleId);
+      }
+    }
+
+    return count;
+  }
+
+  // Re-adds enabled schedules missing from the due index (e.g. after a crash or a Redis restore)
+  async restoreDueIndex() {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return 0;
+    }
+
+    const schedules = await this.getAllSchedules();
+    let restored = 0;
+
+    for (const schedule of schedules) {
+      if (!schedule.enabled) {
+        continue;
+      }
+      const score = await this.redis.zScore(this.DUE_KEY, schedule.schedule_id);
+      if (score === null) {
+        if (!schedule.next_run_at) {
+          schedule.next_run_at = computeNextRun(schedule);
+          await this._save(schedule);
+        }
+        await this._syncDueIndex(schedule);
+        restored++;
+      }
+    }
+
+    return restored;
+  }
+
+  // Returns { job }, or { job: null, reason } like runNow. The run's outcome is the
+  // last job's own status, see last_job in GET /api/schedules.
+  async _enqueueJob(schedule) {
+    const jobManager = new JobManager();
+    await jobManager.init();
+
+    try {
+      // Don't pile up runs for a brand whose previous scrape hasn't finished yet
+      if (schedule.last_job_id) {
+        const lastJob = await jobManager.getJob(schedule.last_job_id);
+        if (lastJob && ACTIVE_JOB_STATUSES.includes(lastJob.status)) {
+          workerLogger.info(
+            `[Scheduler] Skipping schedule ${schedule.schedule_id}: job ${schedule.last_job_id} still ${lastJob.status}`
+          );
+          return { job: null, reason: 'active' };
+        }
+      }
+
+      const job = await jobManager.createJob({
+        job_id: uuidv4().substring(0, 8),
+        url: buildPageAdsUrl(schedule.page_id),
+        max_ads: schedule.max_ads,
+        save_json: schedule.save_json,
+        save_db: schedule.save_db,
+        auto_analyze: schedule.auto_analyze,
+        analysis_mode: schedule.analysis_mode,
+        page_id: schedule.page_id,
+        period: schedule.period,
+        schedule_id: schedule.schedule_id,
+        user_id: schedule.user_id,
+      });
+
+      if (!job) {
+        schedule.last_error = 'Failed to create job';
+        return { job: null, reason: 'create_failed' };
+      }
+
+      workerLogger.info(
+        `[Scheduler] Schedule ${schedule.schedule_id} queued job ${job.job_id} for page_id: ${schedule.page_id}`
+      );
+      schedule.last_run_at = new Date().toISOString();
+      schedule.last_job_id = job.job_id;
+      schedule.last_error = null;
+      return { job };
+    } finally {
+      await jobManager.close();
+    }
+  }
+
+  async _save(schedule) {
+    await this.redis.hSet(this.SCHEDULE_PREFIX + schedule.schedule_id, {
+      data: JSON.stringify(schedule),
+    });
+  }
+
+  async _syncDueIndex(schedule) {
+    if (schedule.enabled && schedule.next_run_at) {
+      await this.redis.zAdd(this.DUE_KEY, {
+        score: new Date(schedule.next_run_at).getTime(),
+        value: schedule.schedule_id,
+      });
+    } else {
+      await this.redis.zRem(this.DUE_KEY, schedule.schedule_id);
+    }
+  }
+
+  async close() {
+    // Shared Redis client, only drop our reference
+    this.redis = null;
+  }
+}
+
+export default { ScheduleManager, parseInterval, validateCron, computeNextRun };
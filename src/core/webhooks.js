@@ -0,0 +1,225 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import dns from 'dns';
+import { BlockList, isIP } from 'net';
+import config from '../config/index.js';
+import { JobManager } from './redis.js';
+import { workerLogger } from './logger.js';
+import { computeBackoff } from './retry.js';
+
+const WEBHOOK_RETRY_POLICY = {
+  backoff_ms: config.WEBHOOK_RETRY_BACKOFF_MS,
+  backoff_multiplier: 2,
+  max_backoff_ms: config.WEBHOOK_RETRY_MAX_BACKOFF_MS,
+};
+
+// Loopback, link-local, private, shared and multicast ranges a callback must not reach
+const PRIVATE_NETWORKS = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+  ['224.0.0.0', 3],
+]) {
+  PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 127],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+]) {
+  PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv6');
+}
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1, or ::ffff:7f00:1 as URL writes it) are checked as IPv4
+function unmapIPv4(address) {
+  const dotted = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (dotted) {
+    return dotted[1];
+  }
+  const hex = address.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i);
+  if (hex) {
+    const high = parseInt(hex[1], 16);
+    const low = parseInt(hex[2], 16);
+    return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+  }
+  return address;
+}
+
+export function isPrivateAddress(ip) {
+  const address = unmapIPv4(ip);
+  const family = isIP(address);
+  return family !== 0 && PRIVATE_NETWORKS.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// localhost names and private IP literals. Hostnames that resolve to a private address are
+// caught when the delivery connects (see publicOnlyLookup).
+export function isBlockedCallbackHost(hostname) {
+  if (config.WEBHOOK_ALLOW_PRIVATE_HOSTS) {
+    return false;
+  }
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  return host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host);
+}
+
+// dns.lookup that refuses private addresses, used for the connection itself so a DNS answer
+// can't change between the check and the request
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    const blocked = addresses.find((entry) => isPrivateAddress(entry.address));
+    if (blocked && !config.WEBHOOK_ALLOW_PRIVATE_HOSTS) {
+      return callback(new Error(`${hostname} resolves to a private address (${blocked.address})`));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// HMAC-SHA256 over "<timestamp>.<body>" so receivers can reject replayed payloads
+export function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+export class WebhookDispatcher {
+  constructor() {
+    this.jobManager = new JobManager();
+  }
+
+  // Sends every delivery whose next attempt is due, returns how many were attempted
+  async deliverDue() {
+    await this.jobManager.init();
+    if (!this.jobManager.isConnected()) {
+      return 0;
+    }
+
+    const redis = this.jobManager.redis;
+    const dueIds = await redis.zRangeByScore(this.jobManager.WEBHOOK_PENDING_KEY, 0, Date.now());
+    let attempted = 0;
+
+    for (const deliveryId of dueIds) {
+      // Only the worker that removes the entry delivers it
+      const removed = await redis.zRem(this.jobManager.WEBHOOK_PENDING_KEY, deliveryId);
+      if (removed === 0) {
+        continue;
+      }
+
+      const delivery = await this.jobManager.getWebhookDelivery(deliveryId);
+      if (!delivery || delivery.status !== 'pending') {
+        continue;
+      }
+
+      await this._attempt(delivery);
+      attempted++;
+    }
+
+    return attempted;
+  }
+
+  async _attempt(delivery) {
+    const attemptNumber = delivery.attempts.length + 1;
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': `${config.APP_NAME}-Webhooks`,
+      'X-Spider-Event': delivery.event,
+      'X-Spider-Delivery': delivery.delivery_id,
+      'X-Spider-Timestamp': timestamp,
+    };
+
+    const secret = await this.jobManager.getCallbackSecret(delivery.job_id);
+    if (secret) {
+      headers['X-Spider-Signature'] = `sha256=${signPayload(secret, timestamp, body)}`;
+    } else if (delivery.signed) {
+      // The job was removed along with its secret, never send a signed delivery unsigned
+      await this._drop(delivery, 'Job was removed, callback secret no longer available');
+      return;
+    }
+
+    if (isBlockedCallbackHost(new URL(delivery.url).hostname)) {
+      await this._drop(delivery, 'callback_url points to a private or local host');
+      return;
+    }
+
+    const startTime = Date.now();
+    const attempt = {
+      attempt: attemptNumber,
+      attempted_at: new Date(startTime).toISOString(),
+      status_code: null,
+      error: null,
+      duration_ms: null,
+    };
+
+    try {
+      const response = await axios.post(delivery.url, body, {
+        headers,
+        timeout: config.WEBHOOK_TIMEOUT_MS,
+        maxRedirects: 0,
+        lookup: publicOnlyLookup,
+        validateStatus: () => true,
+      });
+      attempt.status_code = response.status;
+      if (response.status < 200 || response.status >= 300) {
+        attempt.error = `Unexpected status ${response.status}`;
+      }
+    } catch (error) {
+      attempt.error = error.message;
+    }
+    attempt.duration_ms = Date.now() - startTime;
+    delivery.attempts.push(attempt);
+
+    if (!attempt.error) {
+      delivery.status = 'delivered';
+      delivery.delivered_at = new Date().toISOString();
+      delivery.next_attempt_at = null;
+      workerLogger.info(
+        `[Webhook] Delivered ${delivery.event} for job ${delivery.job_id} (${attempt.status_code}, ${attempt.duration_ms}ms)`
+      );
+    } else if (attemptNumber >= config.WEBHOOK_MAX_ATTEMPTS) {
+      delivery.status = 'failed';
+      delivery.next_attempt_at = null;
+      workerLogger.error(
+        `[Webhook] Giving up on ${delivery.event} for job ${delivery.job_id} after ${attemptNumber} attempt(s): ${attempt.error}`
+      );
+    } else {
+      const nextAttemptAt = new Date(Date.now() + computeBackoff(WEBHOOK_RETRY_POLICY, attemptNumber));
+      delivery.next_attempt_at = nextAttemptAt.toISOString();
+      await this.jobManager.redis.zAdd(this.jobManager.WEBHOOK_PENDING_KEY, {
+        score: nextAttemptAt.getTime(),
+        value: delivery.delivery_id,
+      });
+      workerLogger.warn(
+        `[Webhook] Delivery of ${delivery.event} for job ${delivery.job_id} failed (${attempt.error}), retrying at ${delivery.next_attempt_at}`
+      );
+    }
+
+    await this.jobManager.saveWebhookDelivery(delivery);
+  }
+
+  // Fails a delivery without attempting it
+  async _drop(delivery, reason) {
+    delivery.status = 'failed';
+    delivery.next_attempt_at = null;
+    delivery.error = reason;
+    workerLogger.warn(`[Webhook] Dropped ${delivery.event} for job ${delivery.job_id}: ${reason}`);
+    if (await this.jobManager.getWebhookDelivery(delivery.delivery_id)) {
+      await this.jobManager.saveWebhookDelivery(delivery);
+    }
+  }
+
+  async close() {
+    await this.jobManager.close();
+  }
+}
+
+export default { WebhookDispatcher, signPayload, isBlockedCallbackHost, isPrivateAddress };
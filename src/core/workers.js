@@ -0,0 +1,174 @@
+import config from '../config/index.js';
+import { getRedisClient } from './redis.js';
+
+// Registered workers that haven't heartbeated for this long are dropped from the registry
+const STALE_WORKER_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+export class WorkerRegistry {
+  constructor() {
+    this.WORKERS_KEY = 'spider:workers';
+    this.WORKER_PREFIX = 'spider:workers:info:';
+    // Liveness keys written by JobManager.heartbeat, also used for orphan recovery
+    this.HEARTBEAT_PREFIX = 'spider:worker:heartbeat:';
+    this.OWNERS_KEY = 'spider:processing:owners';
+    this.redis = null;
+  }
+
+  async init() {
+    this.redis = await getRedisClient();
+    return this.redis !== null;
+  }
+
+  isConnected() {
+    if (!this.redis) {
+      return false;
+    }
+    if (!this.redis.isOpen) {
+      this.redis = null;
+      return false;
+    }
+    return true;
+  }
+
+  async register(info) {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const worker = {
+      worker_id: info.worker_id,
+      hostname: info.hostname,
+      pid: info.pid,
+      version: info.version || config.APP_VERSION,
+      capacity: info.capacity,
+      active_jobs: [],
+      status: 'running',
+      started_at: now,
+      last_heartbeat_at: now,
+    };
+
+    await this._save(worker);
+    await this.redis.sAdd(this.WORKERS_KEY, worker.worker_id);
+    return worker;
+  }
+
+  // Refreshes the worker's entry, updates: active_jobs, status
+  async heartbeat(worker_id, updates = {}) {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return false;
+    }
+
+    const worker = await this.getWorker(worker_id);
+    if (!worker) {
+      return false;
+    }
+
+    Object.assign(worker, updates, { last_heartbeat_at: new Date().toISOString() });
+    await this._save(worker);
+    return true;
+  }
+
+  async deregister(worker_id) {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return false;
+    }
+
+    await this.redis.del(this.WORKER_PREFIX + worker_id);
+    await this.redis.sRem(this.WORKERS_KEY, worker_id);
+    return true;
+  }
+
+  async getWorker(worker_id) {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return null;
+    }
+
+    const data = await this.redis.hGet(this.WORKER_PREFIX + worker_id, 'data');
+    return data ? JSON.parse(data) : null;
+  }
+
+  // Every registered worker with its liveness and the jobs it holds in the processing list.
+  // Jobs held by stale or unknown workers are returned as orphaned_jobs.
+  async listWorkers() {
+    if (!this.isConnected()) {
+      await this.init();
+    }
+    if (!this.isConnected()) {
+      return { workers: [], orphaned_jobs: [] };
+    }
+
+    const owners = await this.redis.hGetAll(this.OWNERS_KEY);
+    const heldJobs = {};
+    for (const [jobId, ownerId] of Object.entries(owners)) {
+      (heldJobs[ownerId] = heldJobs[ownerId] || []).push(jobId);
+    }
+
+    const workerIds = await this.redis.sMembers(this.WORKERS_KEY);
+    const workers = [];
+
+    for (const workerId of workerIds) {
+      const worker = await this.getWorker(workerId);
+      if (!worker) {
+        await this.redis.sRem(this.WORKERS_KEY, workerId);
+        continue;
+      }
+
+      const alive = (await this.redis.exists(this.HEARTBEAT_PREFIX + workerId)) === 1;
+      const silentForMs = Date.now() - new Date(worker.last_heartbeat_at).getTime();
+      if (!alive && silentForMs > STALE_WORKER_RETENTION_MS && !heldJobs[workerId]) {
+        await this.deregister(workerId);
+        continue;
+      }
+
+      workers.push({
+        ...worker,
+        status: alive ? worker.status : 'stale',
+        alive,
+        held_jobs: heldJobs[workerId] || [],
+      });
+    }
+
+    const registered = new Map(workers.map((w) => [w.worker_id, w]));
+    const orphanedJobs = [];
+    for (const [ownerId, jobIds] of Object.entries(heldJobs)) {
+      const alive = registered.has(ownerId)
+        ? registered.get(ownerId).alive
+        : (await this.redis.exists(this.HEARTBEAT_PREFIX + ownerId)) === 1;
+      if (alive) {
+        continue;
+      }
+      for (const jobId of jobIds) {
+        orphanedJobs.push({ job_id: jobId, worker_id: ownerId });
+      }
+    }
+
+    workers.sort((a, b) => a.worker_id.localeCompare(b.worker_id));
+    return { workers, orphaned_jobs: orphanedJobs };
+  }
+
+  async _save(worker) {
+    await this.redis.hSet(this.WORKER_PREFIX + worker.worker_id, {
+      data: JSON.stringify(worker),
+    });
+  }
+
+  async close() {
+    // Shared Redis client, only drop our reference
+    this.redis = null;
+  }
+}
+
+export default WorkerRegistry;
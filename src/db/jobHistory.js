@@ -0,0 +1,160 @@
+import axios from 'axios';
+import { appendFile, readdir, readFile } from 'fs/promises';
+import { existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import config from '../config/index.js';
+import { workerLogger } from '../core/logger.js';
+
+const TABLE = 'job_history';
+const FILTER_KEYS = ['job_id', 'status', 'page_id', 'batch_id', 'schedule_id'];
+
+function toRecord(job) {
+  return {
+    job_id: job.job_id,
+    status: job.status,
+    page_id: job.page_id || null,
+    batch_id: job.batch_id || null,
+    schedule_id: job.schedule_id || null,
+    created_at: job.created_at || null,
+    completed_at: job.completed_at || null,
+    archived_at: new Date().toISOString(),
+    data: job,
+  };
+}
+
+function matchesFilters(record, filters) {
+  for (const key of FILTER_KEYS) {
+    if (filters[key] && String(record[key]) !== String(filters[key])) {
+      return false;
+    }
+  }
+  if (filters.since && (!record.created_at || record.created_at < filters.since)) {
+    return false;
+  }
+  if (filters.until && (!record.created_at || record.created_at > filters.until)) {
+    return false;
+  }
+  return true;
+}
+
+// Durable store for jobs removed from Redis: monthly JSONL files under JOB_ARCHIVE_DIR,
+// or the Supabase job_history table with JOB_ARCHIVE_BACKEND=supabase.
+export class JobHistoryStore {
+  constructor(backend = config.JOB_ARCHIVE_BACKEND) {
+    const supabaseConfigured = Boolean(config.SUPABASE_URL && config.SUPABASE_KEY);
+    this.backend = backend === 'supabase' && supabaseConfigured ? 'supabase' : 'file';
+    this.dir = config.JOB_ARCHIVE_DIR;
+
+    if (this.backend === 'supabase') {
+      this.client = axios.create({
+        baseURL: `${config.SUPABASE_URL.replace(/\/$/, '')}/rest/v1`,
+        timeout: 30000,
+        headers: {
+          apikey: config.SUPABASE_KEY,
+          Authorization: `Bearer ${config.SUPABASE_KEY}`,
+          'Content-Type': 'application/json',
+        },
+      });
+    }
+  }
+
+  // Throws if the jobs could not be stored, so callers only drop them from Redis on success
+  async archive(jobs) {
+    if (!jobs || jobs.length === 0) {
+      return 0;
+    }
+
+    const records = jobs.map(toRecord);
+
+    if (this.backend === 'supabase') {
+      // Upsert on job_id so a retried archive run doesn't fail on rows it already wrote
+      await this.client.post(`/${TABLE}`, records, {
+        params: { on_conflict: 'job_id' },
+        headers: { Prefer: 'resolution=merge-duplicates,return=minimal' },
+      });
+    } else {
+      if (!existsSync(this.dir)) {
+        mkdirSync(this.dir, { recursive: true });
+      }
+      const filename = `jobs_${new Date().toISOString().slice(0, 7)}.jsonl`;
+      const lines = records.map((record) => JSON.stringify(record)).join('\n') + '\n';
+      await appendFile(join(this.dir, filename), lines, 'utf-8');
+    }
+
+    workerLogger.info(`[History] Archived ${records.length} job(s) to ${this.backend}`);
+    return records.length;
+  }
+
+  // Filters: status, page_id, batch_id, schedule_id, since, until (ISO dates on created_at)
+  async query(filters = {}, limit = 50, offset = 0) {
+    if (this.backend === 'supabase') {
+      const params = {
+        select: '*',
+        order: 'created_at.desc',
+        limit,
+        offset,
+      };
+      for (const key of FILTER_KEYS) {
+        if (filters[key]) {
+          params[key] = `eq.${filters[key]}`;
+        }
+      }
+      const range = [];
+      if (filters.since) {
+        range.push(`created_at.gte.${filters.since}`);
+      }
+      if (filters.until) {
+        range.push(`created_at.lte.${filters.until}`);
+      }
+      if (range.length > 0) {
+        params.and = `(${range.join(',')})`;
+      }
+
+      const response = await this.client.get(`/${TABLE}`, {
+        params,
+        headers: { Prefer: 'count=exact' },
+      });
+      const contentRange = response.headers['content-range'] || '';
+      const total = parseInt(contentRange.split('/')[1], 10);
+
+      return {
+        total: Number.isNaN(total) ? response.data.length : total,
+        records: response.data,
+      };
+    }
+
+    // Keyed by job_id so a job archived twice (e.g. Redis cleanup failed after the write) appears once
+    const byId = new Map();
+    if (existsSync(this.dir)) {
+      const files = (await readdir(this.dir)).filter((f) => f.endsWith('.jsonl'));
+      for (const filename of files) {
+        const content = await readFile(join(this.dir, filename), 'utf-8');
+        for (const line of content.split('\n')) {
+          if (!line.trim()) {
+            continue;
+          }
+          const record = JSON.parse(line);
+          if (matchesFilters(record, filters)) {
+            byId.set(record.job_id, record);
+          }
+        }
+      }
+    }
+
+    // Most recent first, same as the Supabase ordering
+    const records = [...byId.values()];
+    records.sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''));
+
+    return {
+      total: records.length,
+      records: records.slice(offset, offset + limit),
+    };
+  }
+
+  async get(job_id) {
+    const { records } = await this.query({ job_id }, 1, 0);
+    return records[0] || null;
+  }
+}
+
+export default JobHistoryStore;
@@ -21,7 +21,9 @@ export class SupabaseStorage {
     this.assetsBucket = 'assets';
   }
 
-  async saveRawAdsBatch(ads, progressCallback = null) {
+  // checkpoint: { inserted: { ad_archive_id: adId }, onSaved(adKey, adId) } lets a resumed job
+  // skip ads an earlier attempt already wrote
+  async saveRawAdsBatch(ads, progressCallback = null, signal = null, checkpoint = null) {
     let success = 0;
     let failed = 0;
     const total = ads.length;
@@ -59,14 +61,32 @@ export class SupabaseStorage {
 
     const brandId = brand.id;
     const adIds = [];
+    let cancelled = false;
 
     for (let i = 0; i < ads.length; i++) {
+      // Ads already written are kept, the rest are skipped
+      if (signal && signal.aborted) {
+        workerLogger.warn(`[DB] Cancelled after ${i}/${total} ads`);
+        cancelled = true;
+        break;
+      }
+
+      const adKey = ads[i].ad_archive_id ? String(ads[i].ad_archive_id) : null;
+      if (adKey && checkpoint && checkpoint.inserted[adKey]) {
+        success++;
+        adIds.push(checkpoint.inserted[adKey]);
+        continue;
+      }
+
       try {
         workerLogger.info(`[DB] ===== AD ${i + 1}/${total} =====`);
         const adId = await this.saveRawAd(ads[i], brandId);
         if (adId) {
           success++;
           adIds.push(adId);
+          if (adKey && checkpoint && checkpoint.onSaved) {
+            await checkpoint.onSaved(adKey, adId);
+          }
         } else {
           failed++;
         }
@@ -89,7 +109,69 @@ export class SupabaseStorage {
     workerLogger.info(`[DB] COMPLETE! Success: ${success}, Failed: ${failed}`);
     workerLogger.info('='.repeat(60));
 
-    return { success, failed, ad_ids: adIds, brand_id: brandId };
+    return { success, failed, ad_ids: adIds, brand_id: brandId, cancelled };
+  }
+
+  // Search results come from many advertisers: each page's ads are saved under that page's brand.
+  // Same arguments as saveRawAdsBatch, progress is reported across all pages.
+  async saveAdsByPage(ads, progressCallback = null, signal = null, checkpoint = null) {
+    const total = ads.length;
+    const groups = new Map();
+    let success = 0;
+    let failed = 0;
+
+    for (const ad of ads) {
+      const pageId = ad.page_id ? String(ad.page_id) : null;
+      if (!pageId) {
+        // No page means no brand to save the ad under
+        workerLogger.warn(`[DB] Ad ${ad.ad_archive_id || '?'} has no page_id, skipping`);
+        failed++;
+        continue;
+      }
+      if (!groups.has(pageId)) {
+        groups.set(pageId, []);
+      }
+      groups.get(pageId).push(ad);
+    }
+
+    workerLogger.info(`[DB] Saving ${total} search ads from ${groups.size} page(s)`);
+
+    const adIds = [];
+    const brands = [];
+    let cancelled = false;
+
+    for (const [pageId, pageAds] of groups) {
+      if (signal && signal.aborted) {
+        cancelled = true;
+        break;
+      }
+
+      const done = success + failed;
+      const pageProgress = progressCallback
+        ? (current, pageTotal, pageSuccess, pageFailed) =>
+            progressCallback(done + current, total, success + pageSuccess, failed + pageFailed)
+        : null;
+
+      const result = await this.saveRawAdsBatch(pageAds, pageProgress, signal, checkpoint);
+      success += result.success;
+      failed += result.failed;
+      adIds.push(...(result.ad_ids || []));
+      brands.push({
+        page_id: pageId,
+        page_name: pageAds[0].page_name || null,
+        brand_id: result.brand_id || null,
+        ads: pageAds.length,
+        inserted: result.success,
+        failed: result.failed,
+      });
+
+      if (result.cancelled) {
+        cancelled = true;
+        break;
+      }
+    }
+
+    return { success, failed, ad_ids: adIds, brand_id: null, brands, cancelled };
   }
 
   async saveRawAd(rawAd, brandId = null) {
@@ -8,6 +8,10 @@ import dashboardRouter from './routes/dashboard.js';
 import userRequestsRouter from './routes/userRequests.js';
 import adsRouter from './routes/ads.js';
 import userBrands from "./routes/usersBrands.js";
+import schedulesRouter from './routes/schedules.js';
+import batchesRouter from './routes/batches.js';
+import workersRouter from './routes/workers.js';
+import jobPresetsRouter from './routes/jobPresets.js';
 
 const app = express();
 
@@ -37,6 +41,10 @@ app.use('/api/dashboard', dashboardRouter);
 app.use('/api/user-requests', userRequestsRouter);
 app.use('/api/ads', adsRouter);
 app.use('/api/users-brands',userBrands)
+app.use('/api/schedules', schedulesRouter);
+app.use('/api/batches', batchesRouter);
+app.use('/api/workers', workersRouter);
+app.use('/api/job-presets', jobPresetsRouter);
 
 // Health check
 app.get('/health', async (req, res) => {
@@ -0,0 +1,104 @@
+import express from 'express';
+import { JobManager, checkRedisConnection } from '../core/redis.js';
+import { apiLogger } from '../core/logger.js';
+import JobHistoryStore from '../db/jobHistory.js';
+
+const router = express.Router();
+
+router.get('/', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit || '20', 10);
+    const jobManager = new JobManager();
+    await jobManager.init();
+
+    const batches = await jobManager.getAllBatches(limit);
+    const history = new JobHistoryStore();
+    const summaries = [];
+    for (const batch of batches) {
+      const { jobs, ...summary } = await jobManager.getBatchStatus(batch.batch_id, history);
+      summaries.push(summary);
+    }
+    await jobManager.close();
+
+    res.json({
+      total: summaries.length,
+      batches: summaries,
+    });
+  } catch (error) {
+    apiLogger.error(`[API] Error listing batches: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/:batchId', async (req, res) => {
+  try {
+    const { batchId } = req.params;
+    const jobManager = new JobManager();
+    await jobManager.init();
+
+    const status = await jobManager.getBatchStatus(batchId, new JobHistoryStore());
+    await jobManager.close();
+
+    if (!status) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    res.json(status);
+  } catch (error) {
+    apiLogger.error(`[API] Error getting batch: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/:batchId/cancel', async (req, res) => {
+  try {
+    const redisAvailable = await checkRedisConnection();
+    if (!redisAvailable) {
+      return res.status(503).json({ error: 'Redis is not available' });
+    }
+
+    const { batchId } = req.params;
+    const jobManager = new JobManager();
+    await jobManager.init();
+
+    const count = await jobManager.cancelBatch(batchId);
+    await jobManager.close();
+
+    if (count === null) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    res.json({ message: `Cancelled ${count} job(s) in batch ${batchId}` });
+  } catch (error) {
+    apiLogger.error(`[API] Error cancelling batch: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/:batchId/requeue', async (req, res) => {
+  try {
+    const redisAvailable = await checkRedisConnection();
+    if (!redisAvailable) {
+      return res.status(503).json({ error: 'Redis is not available' });
+    }
+
+    const { batchId } = req.params;
+    const jobManager = new JobManager();
+    await jobManager.init();
+
+    const resume = (req.body && req.body.resume === true) || req.query.resume === 'true';
+    const count = await jobManager.requeueBatch(batchId, { resume });
+    await jobManager.close();
+
+    if (count === null) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    res.json({ message: `Requeued ${count} job(s) in batch ${batchId}` });
+  } catch (error) {
+    apiLogger.error(`[API] Error requeuing batch: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
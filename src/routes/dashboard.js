@@ -95,6 +95,8 @@ router.get('/stats', async (req, res) => {
         total_pending: redisStats.total_pending || 0,
         total_failed: redisStats.total_failed || 0,
       };
+      // Actor runs started vs page jobs scraped, runs_saved counts pages that shared a run
+      stats.apify_runs = redisStats.apify;
 
       // Add top-level aggregated stats for easy access (primary from Redis jobs)
       stats.scraped = redisStats.total_scraped || 0;
@@ -140,6 +142,10 @@ router.get('/services', async (req, res) => {
         available: !!config.APIFY_API_TOKEN,
         configured: !!config.APIFY_API_TOKEN,
       },
+      scraper: {
+        provider: config.SCRAPER_PROVIDER,
+        available: config.SCRAPER_PROVIDER !== 'apify' || !!config.APIFY_API_TOKEN,
+      },
       redis: {
         available: redisAvailable,
         connected: redisAvailable,
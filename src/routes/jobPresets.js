@@ -0,0 +1,174 @@
+import express from 'express';
+import config from '../config/index.js';
+import { checkRedisConnection } from '../core/redis.js';
+import { PresetManager, PRESET_FIELDS } from '../core/presets.js';
+import { apiLogger } from '../core/logger.js';
+import { validatePeriod } from '../scraper/adLibrary.js';
+
+const router = express.Router();
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+const BOOLEAN_FIELDS = ['save_json', 'save_db', 'auto_analyze'];
+
+// Picks the preset fields out of a request body. Returns { values } or { error }.
+// With allowNull, null values are kept so an update can remove a field.
+function readPresetFields(body, allowNull = false) {
+  const values = {};
+  for (const field of PRESET_FIELDS) {
+    const value = body[field];
+    if (value === undefined) {
+      continue;
+    }
+    if (value === null) {
+      if (allowNull) {
+        values[field] = null;
+      }
+      continue;
+    }
+
+    if (field === 'max_ads_per_page') {
+      const maxAds = parseInt(value, 10);
+      if (Number.isNaN(maxAds) || maxAds < 1) {
+        return { error: 'max_ads_per_page must be a positive number' };
+      }
+      if (maxAds > config.MAX_ADS_PER_BRAND) {
+        return { error: `Maximum ${config.MAX_ADS_PER_BRAND} ads per page allowed` };
+      }
+      values[field] = maxAds;
+    } else if (BOOLEAN_FIELDS.includes(field)) {
+      if (typeof value !== 'boolean') {
+        return { error: `${field} must be true or false` };
+      }
+      values[field] = value;
+    } else if (field === 'period' && value !== '') {
+      const periodError = validatePeriod(value);
+      if (periodError) {
+        return { error: periodError };
+      }
+      values[field] = value;
+    } else {
+      if (typeof value !== 'string' || !value.trim()) {
+        return { error: `${field} must be a non-empty string` };
+      }
+      values[field] = value.trim();
+    }
+  }
+  return { values };
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const presetManager = new PresetManager();
+    await presetManager.init();
+    const presets = await presetManager.getAllPresets();
+    await presetManager.close();
+
+    res.json({ total: presets.length, presets });
+  } catch (error) {
+    apiLogger.error(`[API] Error listing job presets: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/:name', async (req, res) => {
+  try {
+    const presetManager = new PresetManager();
+    await presetManager.init();
+    const preset = await presetManager.getPreset(req.params.name);
+    await presetManager.close();
+
+    if (!preset) {
+      return res.status(404).json({ error: 'Preset not found' });
+    }
+
+    res.json(preset);
+  } catch (error) {
+    apiLogger.error(`[API] Error getting job preset: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const redisAvailable = await checkRedisConnection();
+    if (!redisAvailable) {
+      return res.status(503).json({ error: 'Redis is not available' });
+    }
+
+    const { name, description } = req.body;
+    if (!name || !NAME_PATTERN.test(name)) {
+      return res.status(400).json({
+        error: 'name is required and may only contain letters, digits, "-" and "_" (max 64 characters)',
+      });
+    }
+
+    const { values, error } = readPresetFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({ error: `At least one of ${PRESET_FIELDS.join(', ')} is required` });
+    }
+
+    const presetManager = new PresetManager();
+    await presetManager.init();
+    const preset = await presetManager.createPreset(name, values, description || null);
+    await presetManager.close();
+
+    if (!preset) {
+      return res.status(409).json({ error: `Preset ${name} already exists` });
+    }
+
+    res.status(201).json(preset);
+  } catch (error) {
+    apiLogger.error(`[API] Error creating job preset: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.patch('/:name', async (req, res) => {
+  try {
+    const { values: updates, error } = readPresetFields(req.body, true);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (req.body.description !== undefined) {
+      updates.description = req.body.description;
+    }
+
+    const presetManager = new PresetManager();
+    await presetManager.init();
+    const preset = await presetManager.updatePreset(req.params.name, updates);
+    await presetManager.close();
+
+    if (!preset) {
+      return res.status(404).json({ error: 'Preset not found' });
+    }
+
+    res.json(preset);
+  } catch (error) {
+    apiLogger.error(`[API] Error updating job preset: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/:name', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const presetManager = new PresetManager();
+    await presetManager.init();
+    const deleted = await presetManager.deletePreset(name);
+    await presetManager.close();
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Preset not found' });
+    }
+
+    res.json({ message: `Preset ${name} deleted` });
+  } catch (error) {
+    apiLogger.error(`[API] Error deleting job preset: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -1,9 +1,38 @@
 import express from "express";
 import { v4 as uuidv4 } from "uuid";
-import { JobManager, checkRedisConnection } from "../core/redis.js";
+import {
+  JobManager,
+  checkRedisConnection,
+  JOB_STATUSES,
+  ACTIVE_JOB_STATUSES,
+  REQUEUEABLE_JOB_STATUSES,
+  decodeJobCursor,
+} from "../core/redis.js";
 import config from "../config/index.js";
 import { apiLogger } from "../core/logger.js";
 import multer from "multer";
+import {
+  buildPageAdsUrl,
+  buildSearchAdsUrl,
+  applyAdLibraryFilters,
+  withDefaultFilters,
+  extractPageId,
+  SEARCH_MATCH_TYPES,
+  AD_TYPES,
+  ACTIVE_STATUSES,
+  MEDIA_TYPES,
+  PLATFORMS,
+  SORT_ORDERS,
+  validatePeriod,
+} from "../scraper/adLibrary.js";
+import { normalizeRetryPolicy } from "../core/retry.js";
+import { subscribeToJobEvents } from "../core/events.js";
+import { isBlockedCallbackHost } from "../core/webhooks.js";
+import JobHistoryStore from "../db/jobHistory.js";
+import { PageStatsManager, estimateJob } from "../core/pageStats.js";
+import { PresetManager, applyPreset } from "../core/presets.js";
+import { getJobLogs, JOB_LOG_LEVELS } from "../core/jobLogs.js";
+import { normalizeCsvHeader, parseCsvRow, csvRowKey } from "../core/csvImport.js";
 
 const router = express.Router();
 
@@ -18,15 +47,186 @@ const upload = multer({
   dest: "uploads/",
 });
 
-function extractPageId(url) {
-  const patterns = [/view_all_page_id=(\d+)/, /page_id=(\d+)/];
-  for (const pattern of patterns) {
-    const match = url.match(pattern);
-    if (match) {
-      return match[1];
+const SSE_KEEPALIVE_MS = 15000;
+
+// Returns an error message, or null if the callback settings are usable
+function validateCallback(callbackUrl, callbackSecret) {
+  if (!callbackUrl) {
+    return callbackSecret ? "callback_secret requires callback_url" : null;
+  }
+  try {
+    const parsed = new URL(callbackUrl);
+    if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+      return "callback_url must be an http(s) URL";
+    }
+    if (isBlockedCallbackHost(parsed.hostname)) {
+      return "callback_url must not point to localhost or a private network";
+    }
+  } catch (error) {
+    return "callback_url must be a valid URL";
+  }
+  if (callbackSecret !== undefined && callbackSecret !== null && typeof callbackSecret !== "string") {
+    return "callback_secret must be a string";
+  }
+  return null;
+}
+
+// Multipart fields arrive as strings, so "false" turns an option off like false does
+function formFlag(value) {
+  return value !== false && value !== "false";
+}
+
+// Reads the Ad Library filters (active_status, country or countries, media_type, languages,
+// platforms, sort) from a request body. Lists may be arrays or comma separated strings.
+// Returns { filters } with only the fields the request set, or { error }.
+function readAdLibraryFilters(body) {
+  const filters = {};
+  const list = (value) =>
+    (Array.isArray(value) ? value : String(value).split(","))
+      .map((item) => String(item).trim())
+      .filter(Boolean);
+
+  if (body.active_status !== undefined && body.active_status !== "") {
+    if (!ACTIVE_STATUSES.includes(body.active_status)) {
+      return { error: `active_status must be one of ${ACTIVE_STATUSES.join(", ")}` };
+    }
+    filters.active_status = body.active_status;
+  }
+
+  const countries = body.countries !== undefined && body.countries !== "" ? body.countries : body.country;
+  if (countries !== undefined && countries !== "") {
+    filters.countries = [...new Set(list(countries).map((code) => code.toUpperCase()))];
+    const allCountries = filters.countries.includes("ALL");
+    if (
+      filters.countries.length === 0 ||
+      (allCountries && filters.countries.length > 1) ||
+      (!allCountries && filters.countries.some((code) => !/^[A-Z]{2}$/.test(code)))
+    ) {
+      return { error: 'countries must be two-letter country codes, or just "ALL"' };
+    }
+  }
+
+  if (body.media_type !== undefined && body.media_type !== "") {
+    if (!MEDIA_TYPES.includes(body.media_type)) {
+      return { error: `media_type must be one of ${MEDIA_TYPES.join(", ")}` };
+    }
+    filters.media_type = body.media_type;
+  }
+
+  if (body.languages !== undefined && body.languages !== "") {
+    filters.languages = [...new Set(list(body.languages).map((code) => code.toLowerCase()))];
+    if (filters.languages.some((code) => !/^[a-z]{2}$/.test(code))) {
+      return { error: "languages must be two-letter language codes" };
+    }
+  }
+
+  if (body.platforms !== undefined && body.platforms !== "") {
+    filters.platforms = [...new Set(list(body.platforms).map((platform) => platform.toLowerCase()))];
+    const unknown = filters.platforms.filter((platform) => !PLATFORMS.includes(platform));
+    if (unknown.length > 0) {
+      return { error: `Unknown platform(s) ${unknown.join(", ")}, use ${PLATFORMS.join(", ")}` };
+    }
+  }
+
+  if (body.sort !== undefined && body.sort !== "") {
+    if (!SORT_ORDERS[body.sort]) {
+      return { error: `sort must be one of ${Object.keys(SORT_ORDERS).join(", ")}` };
+    }
+    filters.sort = body.sort;
+  }
+
+  return { filters };
+}
+
+// Fills a job request from the preset it names, returns { body } or { error }
+async function resolvePreset(body) {
+  if (!body.preset) {
+    return { body };
+  }
+
+  const presetManager = new PresetManager();
+  await presetManager.init();
+  const preset = await presetManager.getPreset(body.preset);
+  await presetManager.close();
+
+  if (!preset) {
+    return { error: `Preset ${body.preset} not found` };
+  }
+  return { body: applyPreset(preset, body) };
+}
+
+// Streams job events as Server-Sent Events, optionally for a single job
+async function streamJobEvents(req, res, jobId = null) {
+  const writeEvent = (event) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  // Registered before the first await, so a client that disconnects while we subscribe
+  // or load the snapshot doesn't leave the listener behind
+  let unsubscribe = null;
+  let keepAlive = null;
+  let closed = false;
+  const cleanup = () => {
+    closed = true;
+    clearInterval(keepAlive);
+    if (unsubscribe) {
+      unsubscribe();
+      unsubscribe = null;
+    }
+  };
+  req.on("close", cleanup);
+
+  try {
+    unsubscribe = await subscribeToJobEvents((event) => {
+      if (!jobId || event.job_id === jobId) {
+        writeEvent(event);
+      }
+    });
+    if (!unsubscribe) {
+      return res.status(503).json({ error: "Redis is not available" });
     }
+    if (closed) {
+      cleanup();
+      return;
+    }
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    // Give single-job clients the current state right away
+    if (jobId) {
+      const jobManager = new JobManager();
+      await jobManager.init();
+      const job = await jobManager.getJob(jobId);
+      await jobManager.close();
+
+      writeEvent({
+        type: "snapshot",
+        job_id: jobId,
+        batch_id: job?.batch_id || null,
+        status: job?.status || "not_found",
+        progress: job?.progress || null,
+        message: job?.message || null,
+        error: job?.error || null,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (!closed) {
+      keepAlive = setInterval(() => res.write(": ping\n\n"), SSE_KEEPALIVE_MS);
+    }
+  } catch (error) {
+    cleanup();
+    if (res.headersSent) {
+      res.end();
+    }
+    throw error;
   }
-  return "unknown";
 }
 
 router.post("/", async (req, res) => {
@@ -37,6 +237,11 @@ router.post("/", async (req, res) => {
       return res.status(503).json({ error: "Redis is not available" });
     }
 
+    const { body, error: presetError } = await resolvePreset(req.body);
+    if (presetError) {
+      return res.status(400).json({ error: presetError });
+    }
+
     const {
       page_ids,
       max_ads_per_page,
@@ -47,7 +252,32 @@ router.post("/", async (req, res) => {
       start_date_formatted,
       end_date_formatted,
       period,
-    } = req.body;
+      retry,
+      callback_url,
+      callback_secret,
+      user_id,
+    } = body;
+
+    const { policy: retryPolicy, error: retryError } = normalizeRetryPolicy(retry);
+    if (retryError) {
+      return res.status(400).json({ error: retryError });
+    }
+
+    const periodError = validatePeriod(period);
+    if (periodError) {
+      return res.status(400).json({ error: periodError });
+    }
+
+    const callbackError = validateCallback(callback_url, callback_secret);
+    if (callbackError) {
+      return res.status(400).json({ error: callbackError });
+    }
+
+    const { filters: requestFilters, error: filterError } = readAdLibraryFilters(body);
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+    const filters = withDefaultFilters(requestFilters);
 
     // Set default max_ads_per_page to config limit if not provided
     const maxAds =
@@ -79,15 +309,18 @@ router.post("/", async (req, res) => {
     const jobManager = new JobManager();
     await jobManager.init();
 
-    // Create job for each page_id
+    // Create job for each page_id, grouped in one batch
+    const batchId = uuidv4().substring(0, 8);
     const jobIds = [];
+    const coalescedJobIds = [];
     for (const pageId of page_ids) {
       const jobId = uuidv4().substring(0, 8);
-      const url = `https://www.facebook.com/ads/library/?active_status=all&ad_type=all&country=ALL&is_targeted_country=false&media_type=all&search_type=page&sort_data[mode]=relevancy_monthly_grouped&sort_data[direction]=desc&view_all_page_id=${pageId}`;
+      const url = applyAdLibraryFilters(buildPageAdsUrl(pageId), filters);
 
-      await jobManager.createJob({
+      const job = await jobManager.createJob({
         job_id: jobId,
         url,
+        filters,
         max_ads: maxAds,
         save_json: save_json !== false,
         save_db: save_db !== false,
@@ -97,17 +330,35 @@ router.post("/", async (req, res) => {
         start_date_formatted,
         end_date_formatted,
         period,
+        retry_policy: retryPolicy,
+        batch_id: batchId,
+        callback_url: callback_url || null,
+        callback_secret: callback_secret || null,
+        user_id: user_id || null,
       });
+      if (!job) {
+        // Jobs created before the connection dropped stay queued
+        await jobManager.close();
+        return res.status(503).json({ error: "Redis connection lost while creating jobs", job_ids: jobIds });
+      }
 
-      jobIds.push(jobId);
+      jobIds.push(job.job_id);
+      if (job.coalesced) {
+        coalescedJobIds.push(job.job_id);
+      }
     }
 
+    await jobManager.createBatch({ batch_id: batchId, job_ids: jobIds, source: "api" });
     await jobManager.close();
 
+    const createdCount = jobIds.length - coalescedJobIds.length;
     res.json({
       job_id: jobIds.join(","),
+      job_ids: jobIds,
+      coalesced_job_ids: coalescedJobIds,
+      batch_id: batchId,
       status: "queued",
-      message: `Created ${jobIds.length} job(s). Scraping ${page_ids.length} page(s) with up to ${maxAds} ads each.`,
+      message: `Created ${createdCount} job(s)${coalescedJobIds.length ? `, joined ${coalescedJobIds.length} identical job(s) already in progress` : ""}. Scraping ${page_ids.length} page(s) with up to ${maxAds} ads each.`,
     });
   } catch (error) {
     apiLogger.error(`[API] Error creating job: ${error.message}`);
@@ -115,17 +366,259 @@ router.post("/", async (req, res) => {
   }
 });
 
+// Scrapes an Ad Library keyword search across all advertisers. The ads are saved
+// under one brand per page they came from.
+router.post("/search", async (req, res) => {
+  try {
+    const redisAvailable = await checkRedisConnection();
+    if (!redisAvailable) {
+      return res.status(503).json({ error: "Redis is not available" });
+    }
+
+    const { body, error: presetError } = await resolvePreset(req.body);
+    if (presetError) {
+      return res.status(400).json({ error: presetError });
+    }
+
+    const {
+      query,
+      match = "keyword",
+      ad_type = "all",
+      max_ads_per_page,
+      save_json,
+      save_db,
+      auto_analyze,
+      analysis_mode,
+      start_date_formatted,
+      end_date_formatted,
+      period,
+      retry,
+      callback_url,
+      callback_secret,
+    } = body;
+
+    if (typeof query !== "string" || !query.trim() || query.trim().length > 100) {
+      return res.status(400).json({ error: "query is required (max 100 characters)" });
+    }
+    if (!SEARCH_MATCH_TYPES[match]) {
+      return res.status(400).json({ error: `match must be one of ${Object.keys(SEARCH_MATCH_TYPES).join(", ")}` });
+    }
+    if (!AD_TYPES.includes(ad_type)) {
+      return res.status(400).json({ error: `ad_type must be one of ${AD_TYPES.join(", ")}` });
+    }
+
+    const { filters: requestFilters, error: filterError } = readAdLibraryFilters(body);
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+    const filters = withDefaultFilters(requestFilters);
+
+    const { policy: retryPolicy, error: retryError } = normalizeRetryPolicy(retry);
+    if (retryError) {
+      return res.status(400).json({ error: retryError });
+    }
+
+    const periodError = validatePeriod(period);
+    if (periodError) {
+      return res.status(400).json({ error: periodError });
+    }
+
+    const callbackError = validateCallback(callback_url, callback_secret);
+    if (callbackError) {
+      return res.status(400).json({ error: callbackError });
+    }
+
+    // max_ads_per_page caps the whole search, which is one scrape
+    const maxAds =
+      max_ads_per_page !== undefined && max_ads_per_page !== null
+        ? parseInt(max_ads_per_page, 10)
+        : config.MAX_ADS_PER_BRAND;
+    if (Number.isNaN(maxAds) || maxAds < 1) {
+      return res.status(400).json({ error: "max_ads_per_page must be a positive number" });
+    }
+    if (!start_date_formatted && !end_date_formatted && maxAds > config.MAX_ADS_PER_BRAND) {
+      return res.status(400).json({
+        error: `Maximum ${config.MAX_ADS_PER_BRAND} ads per page allowed`,
+      });
+    }
+
+    const search = {
+      query: query.trim(),
+      match,
+      ad_type,
+    };
+
+    const jobManager = new JobManager();
+    await jobManager.init();
+
+    const job = await jobManager.createJob({
+      job_id: uuidv4().substring(0, 8),
+      url: applyAdLibraryFilters(buildSearchAdsUrl(search), filters),
+      kind: "search",
+      search,
+      filters,
+      max_ads: maxAds,
+      save_json: save_json !== false,
+      save_db: save_db !== false,
+      auto_analyze: auto_analyze !== false,
+      analysis_mode: analysis_mode || "balanced",
+      start_date_formatted,
+      end_date_formatted,
+      period,
+      retry_policy: retryPolicy,
+      callback_url: callback_url || null,
+      callback_secret: callback_secret || null,
+    });
+    await jobManager.close();
+    if (!job) {
+      return res.status(503).json({ error: "Redis is not available" });
+    }
+
+    res.json({
+      job_id: job.job_id,
+      status: "queued",
+      coalesced: Boolean(job.coalesced),
+      url: job.url,
+      search,
+      filters,
+      message: job.coalesced
+        ? `Joined identical search job ${job.job_id} already in progress`
+        : `Created search job for "${search.query}" in ${filters.countries.join(", ")}. Scraping up to ${maxAds} ads.`,
+    });
+  } catch (error) {
+    apiLogger.error(`[API] Error creating search job: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Takes the same body as POST / and returns what the jobs would likely cost and take,
+// from the usage measured on earlier jobs for the same pages
+router.post("/estimate", async (req, res) => {
+  try {
+    const redisAvailable = await checkRedisConnection();
+    if (!redisAvailable) {
+      return res.status(503).json({ error: "Redis is not available" });
+    }
+
+    const { body, error: presetError } = await resolvePreset(req.body);
+    if (presetError) {
+      return res.status(400).json({ error: presetError });
+    }
+
+    const { page_ids, max_ads_per_page, auto_analyze, analysis_mode } = body;
+
+    if (!Array.isArray(page_ids) || page_ids.length === 0) {
+      return res.status(400).json({ error: "At least one page_id required" });
+    }
+    if (page_ids.length > config.MAX_BRANDS) {
+      return res.status(400).json({ error: `Maximum ${config.MAX_BRANDS} pages allowed` });
+    }
+
+    const maxAds =
+      max_ads_per_page !== undefined && max_ads_per_page !== null
+        ? parseInt(max_ads_per_page, 10)
+        : config.MAX_ADS_PER_BRAND;
+    if (Number.isNaN(maxAds) || maxAds < 1) {
+      return res.status(400).json({ error: "max_ads_per_page must be a positive number" });
+    }
+
+    const options = {
+      // The worker caps every job at MAX_ADS_PER_BRAND
+      max_ads: Math.min(maxAds, config.MAX_ADS_PER_BRAND),
+      analysis_mode: analysis_mode || "balanced",
+      auto_analyze: auto_analyze !== false,
+    };
+
+    const pageStats = new PageStatsManager();
+    await pageStats.init();
+    const globalStats = await pageStats.getGlobalStats();
+    const estimates = [];
+    for (const pageId of page_ids) {
+      const stats = await pageStats.getPageStats(String(pageId));
+      estimates.push({ page_id: String(pageId), ...estimateJob(stats, globalStats, options) });
+    }
+    await pageStats.close();
+
+    const jobManager = new JobManager();
+    await jobManager.init();
+    const queuedJobs = await jobManager.getQueueLength();
+    await jobManager.close();
+
+    const sum = (pick) => estimates.reduce((total, estimate) => total + pick(estimate), 0);
+    res.json({
+      max_ads: options.max_ads,
+      analysis_mode: options.analysis_mode,
+      auto_analyze: options.auto_analyze,
+      queued_jobs: queuedJobs,
+      totals: {
+        expected_ads: sum((e) => e.expected_ads),
+        apify_usd: Math.round(sum((e) => e.apify.usd) * 10000) / 10000,
+        openai_tokens: sum((e) => e.openai.tokens),
+        whisper_minutes: Math.round(sum((e) => e.openai.whisper_minutes) * 100) / 100,
+        openai_usd: Math.round(sum((e) => e.openai.usd) * 10000) / 10000,
+        total_usd: Math.round(sum((e) => e.total_usd) * 10000) / 10000,
+        // Pages are scraped in parallel, so the batch takes about as long as its slowest page
+        duration_seconds: Math.max(...estimates.map((e) => e.duration_seconds.total)),
+      },
+      estimates,
+    });
+  } catch (error) {
+    apiLogger.error(`[API] Error estimating job: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 router.get("/", async (req, res) => {
   try {
     const limit = parseInt(req.query.limit || "50", 10);
+    if (Number.isNaN(limit) || limit < 1 || limit > 200) {
+      return res.status(400).json({ error: "limit must be between 1 and 200" });
+    }
+
+    const status = req.query.status ? String(req.query.status).split(",").map((s) => s.trim()).filter(Boolean) : [];
+    const unknownStatuses = status.filter((s) => !JOB_STATUSES.includes(s));
+    if (unknownStatuses.length > 0) {
+      return res.status(400).json({ error: `Unknown status: ${unknownStatuses.join(", ")}. Allowed: ${JOB_STATUSES.join(", ")}` });
+    }
+
+    const sort = req.query.sort || "desc";
+    if (!["asc", "desc"].includes(sort)) {
+      return res.status(400).json({ error: "sort must be asc or desc" });
+    }
+
+    for (const name of ["since", "until"]) {
+      if (req.query[name] && Number.isNaN(new Date(req.query[name]).getTime())) {
+        return res.status(400).json({ error: `${name} must be an ISO date` });
+      }
+    }
+
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeJobCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ error: "Invalid cursor" });
+      }
+    }
+
     const jobManager = new JobManager();
     await jobManager.init();
 
-    const jobs = await jobManager.getAllJobs(limit);
+    const { total, jobs, next_cursor } = await jobManager.listJobs({
+      status,
+      page_id: req.query.page_id || null,
+      user_id: req.query.user_id || null,
+      since: req.query.since || null,
+      until: req.query.until || null,
+      sort,
+      cursor,
+      limit,
+    });
     await jobManager.close();
 
     res.json({
-      total: jobs.length,
+      total,
+      count: jobs.length,
+      next_cursor,
       jobs,
     });
   } catch (error) {
@@ -134,6 +627,179 @@ router.get("/", async (req, res) => {
   }
 });
 
+router.get("/events", async (req, res) => {
+  try {
+    await streamJobEvents(req, res);
+  } catch (error) {
+    apiLogger.error(`[API] Error streaming job events: ${error.message}`);
+    if (!res.headersSent) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+router.get("/:jobId/events", async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const redisAvailable = await checkRedisConnection();
+    if (!redisAvailable) {
+      return res.status(503).json({ error: "Redis is not available" });
+    }
+
+    // Answered before the stream opens, an unknown job would otherwise get an empty stream
+    const jobManager = new JobManager();
+    await jobManager.init();
+    const job = await jobManager.getJob(jobId);
+    await jobManager.close();
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    await streamJobEvents(req, res, jobId);
+  } catch (error) {
+    apiLogger.error(`[API] Error streaming job events: ${error.message}`);
+    if (!res.headersSent) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+router.get("/:jobId/webhooks", async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const jobManager = new JobManager();
+    await jobManager.init();
+
+    const job = await jobManager.getJob(jobId);
+    if (!job) {
+      await jobManager.close();
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    const deliveries = await jobManager.getWebhookDeliveries(jobId);
+    await jobManager.close();
+
+    res.json({
+      job_id: jobId,
+      callback_url: job.callback_url || null,
+      total: deliveries.length,
+      deliveries,
+    });
+  } catch (error) {
+    apiLogger.error(`[API] Error listing webhook deliveries: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Log lines captured while the job was processed, oldest first
+router.get("/:jobId/logs", async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const level = req.query.level ? String(req.query.level).toLowerCase() : null;
+    if (level && !JOB_LOG_LEVELS.includes(level)) {
+      return res.status(400).json({ error: `level must be one of: ${JOB_LOG_LEVELS.join(", ")}` });
+    }
+
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 200;
+    if (Number.isNaN(limit) || limit < 1 || limit > config.JOB_LOG_MAX_LINES) {
+      return res.status(400).json({ error: `limit must be between 1 and ${config.JOB_LOG_MAX_LINES}` });
+    }
+
+    const jobManager = new JobManager();
+    await jobManager.init();
+    const job = await jobManager.getJob(jobId);
+    await jobManager.close();
+
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    const { total, logs } = await getJobLogs(jobId, { level, stage: req.query.stage || null, limit });
+    res.json({
+      job_id: jobId,
+      total,
+      count: logs.length,
+      logs,
+    });
+  } catch (error) {
+    apiLogger.error(`[API] Error getting job logs: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get("/dead-letter", async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit || "50", 10);
+    const jobManager = new JobManager();
+    await jobManager.init();
+
+    const jobs = await jobManager.getDeadLetterJobs(limit);
+    await jobManager.close();
+
+    res.json({
+      total: jobs.length,
+      jobs,
+    });
+  } catch (error) {
+    apiLogger.error(`[API] Error listing dead-letter jobs: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get("/history", async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || "50", 10), 500);
+    const offset = parseInt(req.query.offset || "0", 10);
+    const { status, page_id, batch_id, schedule_id, since, until } = req.query;
+
+    for (const [name, value] of [["since", since], ["until", until]]) {
+      if (value && Number.isNaN(new Date(value).getTime())) {
+        return res.status(400).json({ error: `${name} must be an ISO date` });
+      }
+    }
+
+    const history = new JobHistoryStore();
+    const { total, records } = await history.query(
+      {
+        status,
+        page_id,
+        batch_id,
+        schedule_id,
+        since: since ? new Date(since).toISOString() : null,
+        until: until ? new Date(until).toISOString() : null,
+      },
+      limit,
+      offset
+    );
+
+    res.json({
+      backend: history.backend,
+      total,
+      limit,
+      offset,
+      jobs: records.map((record) => ({ ...record.data, archived_at: record.archived_at })),
+    });
+  } catch (error) {
+    apiLogger.error(`[API] Error querying job history: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get("/history/:jobId", async (req, res) => {
+  try {
+    const history = new JobHistoryStore();
+    const record = await history.get(req.params.jobId);
+    if (!record) {
+      return res.status(404).json({ error: "Job not found in history" });
+    }
+
+    res.json({ ...record.data, archived_at: record.archived_at });
+  } catch (error) {
+    apiLogger.error(`[API] Error getting archived job: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 router.get("/:jobId", async (req, res) => {
   try {
     const { jobId } = req.params;
@@ -141,6 +807,10 @@ router.get("/:jobId", async (req, res) => {
     await jobManager.init();
 
     const job = await jobManager.getJob(jobId);
+    const checkpoint = job ? await jobManager.getCheckpointSummary(jobId) : null;
+    const stages = job ? await jobManager.getStageSummary(jobId) : null;
+    // A running job whose worker stopped heartbeating is waiting for orphan recovery
+    const workerAlive = job && job.worker_id ? await jobManager.isWorkerAlive(job.worker_id) : null;
     await jobManager.close();
 
     if (!job) {
@@ -153,19 +823,58 @@ router.get("/:jobId", async (req, res) => {
     const statusMap = {
       queued: "queued",
       running: "processing",
+      retrying: "retrying",
       completed: "completed",
       failed: "failed",
       cancelled: "cancelled",
     };
 
+    const result = job.result || {};
+
     res.json({
       job_id: jobId,
       status: statusMap[status] || status,
+      stage: job.stage || null,
+      message: job.message || null,
       progress: progress.scraped || 0,
-      page_ids: [extractPageId(job.url || "")],
-      ads_count: progress.scraped || 0,
-      file_path: null,
+      counters: {
+        total: progress.total || job.max_ads || 0,
+        scraped: progress.scraped || 0,
+        analyzed: progress.analyzed || 0,
+        inserted: progress.inserted || 0,
+        failed: progress.failed || 0,
+        pending: progress.pending || 0,
+      },
+      kind: job.kind || "page",
+      search: job.search || null,
+      filters: withDefaultFilters(job.filters),
+      // Search jobs cover every page their ads came from
+      page_ids: result.brands ? result.brands.map((b) => b.page_id) : [job.page_id || extractPageId(job.url || "")],
+      ads_count: result.ads_scraped !== undefined ? result.ads_scraped : progress.scraped || 0,
+      json_file: result.json_file || null,
+      file_path: result.file_path || null,
+      brand_id: result.brand_id || null,
+      inserted_ad_ids: result.ad_ids || [],
+      brands: result.brands || null,
+      stage_timings: job.stage_timings || {},
+      scrape_batch: job.scrape_batch || null,
+      result: job.result || null,
       error: job.error,
+      batch_id: job.batch_id || null,
+      worker_id: job.worker_id || null,
+      worker_alive: workerAlive,
+      requesters: job.requesters || [],
+      coalesced_count: job.coalesced_count || 0,
+      recovered_count: job.recovered_count || 0,
+      attempt: job.attempt || 0,
+      max_attempts: job.retry_policy ? job.retry_policy.max_attempts : 1,
+      next_retry_at: job.next_retry_at || null,
+      dead_lettered_at: job.dead_lettered_at || null,
+      retry_policy: job.retry_policy || null,
+      attempts: job.attempts || [],
+      cancellation: job.cancellation || null,
+      checkpoint,
+      stages,
       created_at: job.created_at,
       completed_at: job.completed_at,
     });
@@ -185,10 +894,10 @@ router.post("/clear-completed", async (req, res) => {
 
     const jobManager = new JobManager();
     await jobManager.init();
-    const count = await jobManager.clearCompleted();
+    const count = await jobManager.clearCompleted(new JobHistoryStore());
     await jobManager.close();
 
-    res.json({ message: `Cleared ${count} completed job(s)` });
+    res.json({ message: `Archived and cleared ${count} completed job(s)` });
   } catch (error) {
     apiLogger.error(`[API] Error clearing completed jobs: ${error.message}`);
     res.status(500).json({ error: error.message });
@@ -204,10 +913,10 @@ router.post("/clear-failed", async (req, res) => {
 
     const jobManager = new JobManager();
     await jobManager.init();
-    const count = await jobManager.clearFailed();
+    const count = await jobManager.clearFailed(new JobHistoryStore());
     await jobManager.close();
 
-    res.json({ message: `Cleared ${count} failed job(s)` });
+    res.json({ message: `Archived and cleared ${count} failed job(s)` });
   } catch (error) {
     apiLogger.error(`[API] Error clearing failed jobs: ${error.message}`);
     res.status(500).json({ error: error.message });
@@ -223,10 +932,10 @@ router.post("/clear-cancelled", async (req, res) => {
 
     const jobManager = new JobManager();
     await jobManager.init();
-    const count = await jobManager.clearCancelled();
+    const count = await jobManager.clearCancelled(new JobHistoryStore());
     await jobManager.close();
 
-    res.json({ message: `Cleared ${count} cancelled job(s)` });
+    res.json({ message: `Archived and cleared ${count} cancelled job(s)` });
   } catch (error) {
     apiLogger.error(`[API] Error clearing cancelled jobs: ${error.message}`);
     res.status(500).json({ error: error.message });
@@ -255,6 +964,21 @@ router.delete("/:jobId", async (req, res) => {
   }
 });
 
+// Who a cancel is for: batch_id and/or user_id, from the body or the query string. A job joined
+// by several requests is only cancelled for them, an unscoped cancel of such a job needs force=true.
+function readCancelScope(req) {
+  const source = { ...req.query, ...(req.body || {}) };
+  return {
+    batch_id: source.batch_id || null,
+    user_id: source.user_id || null,
+    force: source.force === true || source.force === "true",
+  };
+}
+
+function isSharedJob(job) {
+  return (job.requesters || []).length > 1;
+}
+
 router.post("/:jobId/cancel", async (req, res) => {
   try {
     const { jobId } = req.params;
@@ -266,11 +990,42 @@ router.post("/:jobId/cancel", async (req, res) => {
       await jobManager.close();
       return res.status(404).json({ error: "Job not found" });
     }
+    if (!ACTIVE_JOB_STATUSES.includes(job.status)) {
+      await jobManager.close();
+      return res.status(409).json({ error: `Job is already ${job.status}`, status: job.status });
+    }
+
+    const { force, ...scope } = readCancelScope(req);
+    if (!scope.batch_id && !scope.user_id && !force && isSharedJob(job)) {
+      await jobManager.close();
+      return res.status(409).json({
+        error: "Job is shared by several requests, pass batch_id or user_id to cancel yours, or force=true to cancel it for all",
+        requesters: job.requesters,
+      });
+    }
 
-    await jobManager.cancelJob(jobId);
+    const outcome = await jobManager.cancelJob(jobId, scope);
     await jobManager.close();
 
-    res.json({ message: `Job ${jobId} cancelled` });
+    if (!outcome) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+    if (outcome.status && !ACTIVE_JOB_STATUSES.includes(outcome.status)) {
+      // Finished between the check above and the cancel
+      return res.status(409).json({ error: `Job is already ${outcome.status}`, status: outcome.status });
+    }
+    if (!outcome.cancelled && outcome.detached.length === 0) {
+      return res.status(404).json({ error: "No matching requester on this job" });
+    }
+    if (!outcome.cancelled) {
+      return res.json({
+        message: `Cancelled for ${outcome.detached.length} requester(s), job ${jobId} continues for the others`,
+        status: "cancelled",
+        detached: outcome.detached,
+      });
+    }
+
+    res.json({ message: `Job ${jobId} cancelled`, status: "cancelled", detached: [] });
   } catch (error) {
     apiLogger.error(`[API] Error cancelling job: ${error.message}`);
     res.status(500).json({ error: error.message });
@@ -289,10 +1044,21 @@ router.post("/:jobId/requeue", async (req, res) => {
       return res.status(404).json({ error: "Job not found" });
     }
 
-    await jobManager.requeueJob(jobId);
+    // A job that is still queued, running or retrying would end up running twice
+    if (!REQUEUEABLE_JOB_STATUSES.includes(job.status)) {
+      await jobManager.close();
+      return res.status(409).json({ error: `Only failed or cancelled jobs can be requeued, job is ${job.status}`, status: job.status });
+    }
+
+    // resume=true keeps the Apify run, analyses and inserted ads from the previous attempt
+    const resume = (req.body && req.body.resume === true) || req.query.resume === "true";
+    const requeued = await jobManager.requeueJob(jobId, { resume });
     await jobManager.close();
+    if (!requeued) {
+      return res.status(409).json({ error: "Job changed status while being requeued" });
+    }
 
-    res.json({ message: `Job ${jobId} requeued` });
+    res.json({ message: `Job ${jobId} requeued${resume ? " (resuming from checkpoint)" : ""}` });
   } catch (error) {
     apiLogger.error(`[API] Error requeuing job: ${error.message}`);
     res.status(500).json({ error: error.message });
@@ -308,17 +1074,24 @@ router.post("/clear-queued", async (req, res) => {
 
     const jobManager = new JobManager();
     await jobManager.init();
-    const jobs = await jobManager.getAllJobs(1000);
-    let count = 0;
 
-    for (const job of jobs) {
-      if (job.status === "queued" || job.status === "running") {
-        await jobManager.deleteJob(job.job_id);
+    // Every active job, not only the most recent ones
+    const jobIds = [];
+    let cursor = null;
+    do {
+      const page = await jobManager.listJobs({ status: ACTIVE_JOB_STATUSES, cursor, limit: 100 });
+      jobIds.push(...page.jobs.map((job) => job.job_id));
+      cursor = page.next_cursor ? decodeJobCursor(page.next_cursor) : null;
+    } while (cursor);
+
+    let count = 0;
+    for (const jobId of jobIds) {
+      if (await jobManager.deleteJob(jobId)) {
         count++;
       }
     }
 
-    res.json({ message: `Cleared ${count} queued/running job(s)` });
+    res.json({ message: `Cleared ${count} queued/running/retrying job(s)` });
   } catch (error) {
     apiLogger.error(`[API] Error clearing queued jobs: ${error.message}`);
     res.status(500).json({ error: error.message });
@@ -368,21 +1141,32 @@ router.post("/bulk/cancel", async (req, res) => {
     if (!Array.isArray(job_ids)) {
       return res.status(400).json({ error: "job_ids must be an array" });
     }
+    const { force, ...scope } = readCancelScope(req);
 
     const jobManager = new JobManager();
     await jobManager.init();
 
     let cancelledCount = 0;
+    const sharedJobIds = [];
     for (const jobId of job_ids) {
       const job = await jobManager.getJob(jobId);
-      if (job && (job.status === "queued" || job.status === "running")) {
-        await jobManager.cancelJob(jobId);
-        cancelledCount++;
+      if (job && ACTIVE_JOB_STATUSES.includes(job.status)) {
+        if (!scope.batch_id && !scope.user_id && !force && isSharedJob(job)) {
+          sharedJobIds.push(jobId);
+          continue;
+        }
+        const outcome = await jobManager.cancelJob(jobId, scope);
+        if (outcome && (outcome.cancelled || outcome.detached.length > 0)) {
+          cancelledCount++;
+        }
       }
     }
 
     await jobManager.close();
-    res.json({ message: `Cancelled ${cancelledCount} job(s)` });
+    res.json({
+      message: `Cancelled ${cancelledCount} job(s)${sharedJobIds.length ? `, left ${sharedJobIds.length} shared job(s) running (pass batch_id, user_id or force=true)` : ""}`,
+      shared_job_ids: sharedJobIds,
+    });
   } catch (error) {
     apiLogger.error(`[API] Error bulk cancelling jobs: ${error.message}`);
     res.status(500).json({ error: error.message });
@@ -396,7 +1180,7 @@ router.post("/bulk/requeue", async (req, res) => {
       return res.status(503).json({ error: "Redis is not available" });
     }
 
-    const { job_ids } = req.body;
+    const { job_ids, resume = false } = req.body;
     if (!Array.isArray(job_ids)) {
       return res.status(400).json({ error: "job_ids must be an array" });
     }
@@ -407,8 +1191,7 @@ router.post("/bulk/requeue", async (req, res) => {
     let requeuedCount = 0;
     for (const jobId of job_ids) {
       const job = await jobManager.getJob(jobId);
-      if (job && job.status === "failed") {
-        await jobManager.requeueJob(jobId);
+      if (job && job.status === "failed" && (await jobManager.requeueJob(jobId, { resume: resume === true }))) {
         requeuedCount++;
       }
     }
@@ -421,6 +1204,9 @@ router.post("/bulk/requeue", async (req, res) => {
   }
 });
 
+// Rows may name a page by ID, Ad Library URL or page URL and override max_ads_per_page,
+// period, start/end dates, analysis_mode and max_attempts. Every row's outcome is reported; with
+// dry_run=true the rows are only validated.
 router.post("/csv", upload.single("file"), async (req, res) => {
   try {
     if (!req.file) {
@@ -432,101 +1218,219 @@ router.post("/csv", upload.single("file"), async (req, res) => {
 
     const results = [];
     fs.createReadStream(req.file.path)
-      .pipe(csv.default())
+      .pipe(csv.default({ mapHeaders: ({ header }) => normalizeCsvHeader(header) }))
       .on("data", (data) => results.push(data))
-      .on("end", async () => {
+      .on("error", (error) => {
         fs.unlinkSync(req.file.path);
+        apiLogger.error(`[API] Error reading CSV: ${error.message}`);
+        res.status(400).json({ error: `Could not read CSV: ${error.message}` });
+      })
+      .on("end", async () => {
+        try {
+          fs.unlinkSync(req.file.path);
 
-        const redisAvailable = await checkRedisConnection();
-        if (!redisAvailable) {
-          return res.status(503).json({ error: "Redis is not available" });
-        }
-
-        const {
-          max_ads_per_page,
-          save_json,
-          save_db,
-          auto_analyze,
-          analysis_mode,
-          start_date_formatted,
-          end_date_formatted,
-          period,
-        } = req.body;
-
-        const maxAds =
-          max_ads_per_page !== undefined && max_ads_per_page !== null
-            ? parseInt(max_ads_per_page, 10)
-            : config.MAX_ADS_PER_BRAND;
-
-        if (!start_date_formatted && !end_date_formatted) {
-          if (maxAds > config.MAX_ADS_PER_BRAND) {
-            return res.status(400).json({
-              error: `Maximum ${config.MAX_ADS_PER_BRAND} ads per page allowed`,
-            });
+          const redisAvailable = await checkRedisConnection();
+          if (!redisAvailable) {
+            return res.status(503).json({ error: "Redis is not available" });
           }
-        }
-
-        if (results.length === 0) {
-          return res.status(400).json({ error: "CSV file is empty" });
-        }
-
-        if (results.length > config.MAX_BRANDS) {
-          return res
-            .status(400)
-            .json({ error: `Maximum ${config.MAX_BRANDS} pages allowed` });
-        }
 
-        const jobManager = new JobManager();
-        await jobManager.init();
-
-        const jobIds = [];
-        for (const row of results) {
-          let url = row.url;
+          const { body, error: presetError } = await resolvePreset(req.body);
+          if (presetError) {
+            return res.status(400).json({ error: presetError });
+          }
 
-          // console.log(row.url);
-          // const keys = Object.keys(row);
+          const {
+            max_ads_per_page,
+            save_json,
+            save_db,
+            auto_analyze,
+            analysis_mode,
+            start_date_formatted,
+            end_date_formatted,
+            period,
+            retry,
+            callback_url,
+            callback_secret,
+            user_id,
+          } = body;
+          // Multipart fields arrive as strings
+          const dryRun = body.dry_run === true || body.dry_run === "true";
+
+          // Same retry policy as POST /api/jobs, sent as a JSON string in a multipart upload
+          let uploadRetry = retry || null;
+          if (typeof retry === "string") {
+            try {
+              uploadRetry = retry.trim() ? JSON.parse(retry) : null;
+            } catch (error) {
+              return res.status(400).json({ error: "retry must be a JSON object" });
+            }
+          }
+          const { error: retryError } = normalizeRetryPolicy(uploadRetry);
+          if (retryError) {
+            return res.status(400).json({ error: retryError });
+          }
 
-          // for (const key of keys) {
-          //   if (key.includes("facebook.com/ads/library")) {
-          //     url = row[key];
+          const periodError = validatePeriod(period);
+          if (periodError) {
+            return res.status(400).json({ error: periodError });
+          }
 
-          //     break;
-          //   }
-          // }
-          // console.log(url);
+          const callbackError = validateCallback(callback_url, callback_secret);
+          if (callbackError) {
+            return res.status(400).json({ error: callbackError });
+          }
 
-          if (!url) {
-            continue;
+          // Ad Library URLs in the file keep their own filters unless the upload sets them, see parseCsvRow
+          const { filters: uploadFilters, error: filterError } = readAdLibraryFilters(body);
+          if (filterError) {
+            return res.status(400).json({ error: filterError });
           }
 
-          const pageId = extractPageId(url);
+          const maxAds =
+            max_ads_per_page !== undefined && max_ads_per_page !== null && max_ads_per_page !== ""
+              ? parseInt(max_ads_per_page, 10)
+              : config.MAX_ADS_PER_BRAND;
+          if (Number.isNaN(maxAds) || maxAds < 1) {
+            return res.status(400).json({ error: "max_ads_per_page must be a positive number" });
+          }
 
-          const jobId = uuidv4().substring(0, 8);
+          if (results.length === 0) {
+            return res.status(400).json({ error: "CSV file is empty" });
+          }
 
-          await jobManager.createJob({
-            job_id: jobId,
-            url,
-            max_ads: maxAds,
-            save_json: save_json !== false,
-            save_db: save_db !== false,
-            auto_analyze: auto_analyze !== false,
-            analysis_mode: analysis_mode || "balanced",
-            page_id: pageId,
+          const defaults = {
+            max_ads_per_page: maxAds,
+            analysis_mode,
             start_date_formatted,
             end_date_formatted,
             period,
+            filters: uploadFilters,
+            retry: uploadRetry,
+          };
+
+          // Validate every row first, so a dry run reports exactly what an upload would do
+          const rows = [];
+          const accepted = [];
+          const seen = new Map();
+          results.forEach((row, index) => {
+            const { values, errors } = parseCsvRow(row, defaults);
+            const report = {
+              row: index + 1,
+              page_id: values.page_id || null,
+              url: values.url || null,
+              options: {
+                max_ads: values.max_ads,
+                period: values.period,
+                start_date_formatted: values.start_date_formatted,
+                end_date_formatted: values.end_date_formatted,
+                analysis_mode: values.analysis_mode,
+                filters: values.filters ? withDefaultFilters(values.filters) : null,
+                max_attempts: values.retry_policy ? values.retry_policy.max_attempts : null,
+              },
+              status: "valid",
+              job_id: null,
+              errors,
+            };
+            rows.push(report);
+
+            if (errors.length > 0) {
+              report.status = "invalid";
+              return;
+            }
+            const key = csvRowKey(values);
+            if (seen.has(key)) {
+              report.status = "duplicate";
+              report.errors.push(`Same page and options as row ${seen.get(key)}`);
+              return;
+            }
+            seen.set(key, report.row);
+            if (accepted.length >= config.MAX_BRANDS) {
+              report.status = "skipped";
+              report.errors.push(`Maximum ${config.MAX_BRANDS} pages per upload`);
+              return;
+            }
+            accepted.push({ values, report });
           });
 
-          jobIds.push(jobId);
-        }
+          const summary = {
+            rows: rows.length,
+            valid: accepted.length,
+            invalid: rows.filter((r) => r.status === "invalid").length,
+            duplicate: rows.filter((r) => r.status === "duplicate").length,
+            skipped: rows.filter((r) => r.status === "skipped").length,
+          };
 
-        await jobManager.close();
+          if (dryRun) {
+            return res.json({ dry_run: true, summary, rows });
+          }
+          if (accepted.length === 0) {
+            return res.status(400).json({ error: "CSV has no valid rows", summary, rows });
+          }
 
-        res.json({
-          job_id: jobIds.join(","),
-          status: "queued",
-          message: `Created ${jobIds.length} job(s) from CSV with ${results.length} page(s). Scraping up to ${maxAds} ads each.`,
-        });
+          const jobManager = new JobManager();
+          await jobManager.init();
+
+          const batchId = uuidv4().substring(0, 8);
+          const jobIds = [];
+          const coalescedJobIds = [];
+          for (const { values, report } of accepted) {
+            const jobId = uuidv4().substring(0, 8);
+
+            const job = await jobManager.createJob({
+              job_id: jobId,
+              url: applyAdLibraryFilters(values.url, values.filters),
+              filters: values.filters,
+              max_ads: values.max_ads,
+              save_json: formFlag(save_json),
+              save_db: formFlag(save_db),
+              auto_analyze: formFlag(auto_analyze),
+              analysis_mode: values.analysis_mode,
+              page_id: values.page_id,
+              start_date_formatted: values.start_date_formatted,
+              end_date_formatted: values.end_date_formatted,
+              period: values.period,
+              retry_policy: values.retry_policy,
+              batch_id: batchId,
+              callback_url: callback_url || null,
+              callback_secret: callback_secret || null,
+              user_id: user_id || null,
+            });
+            if (!job) {
+              // Jobs created before the connection dropped stay queued
+              await jobManager.close();
+              return res
+                .status(503)
+                .json({ error: "Redis connection lost while creating jobs", job_ids: jobIds, summary, rows });
+            }
+
+            report.job_id = job.job_id;
+            report.status = job.coalesced ? "coalesced" : "created";
+            jobIds.push(job.job_id);
+            if (job.coalesced) {
+              coalescedJobIds.push(job.job_id);
+            }
+          }
+
+          await jobManager.createBatch({ batch_id: batchId, job_ids: jobIds, source: "csv" });
+          await jobManager.close();
+
+          summary.created = jobIds.length - coalescedJobIds.length;
+          summary.coalesced = coalescedJobIds.length;
+
+          res.json({
+            job_id: jobIds.join(","),
+            job_ids: jobIds,
+            coalesced_job_ids: coalescedJobIds,
+            batch_id: batchId,
+            status: "queued",
+            message: `Created ${summary.created} job(s) from CSV with ${rows.length} row(s), ${rows.length - accepted.length} row(s) not queued.`,
+            summary,
+            rows,
+          });
+        } catch (error) {
+          apiLogger.error(`[API] Error creating job from CSV: ${error.message}`);
+          res.status(500).json({ error: error.message });
+        }
       });
   } catch (error) {
     apiLogger.error(`[API] Error creating job from CSV: ${error.message}`);
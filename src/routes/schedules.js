@@ -0,0 +1,319 @@
+import express from 'express';
+import axios from 'axios';
+import config from '../config/index.js';
+import { JobManager, checkRedisConnection } from '../core/redis.js';
+import { ScheduleManager, parseInterval, validateCron } from '../core/schedules.js';
+import { apiLogger } from '../core/logger.js';
+import { validatePeriod } from '../scraper/adLibrary.js';
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = [
+  'every',
+  'cron',
+  'timezone',
+  'period',
+  'max_ads',
+  'save_json',
+  'save_db',
+  'auto_analyze',
+  'analysis_mode',
+  'enabled',
+];
+
+function getSupabaseConfig() {
+  if (!config.SUPABASE_URL || !config.SUPABASE_KEY) {
+    return null;
+  }
+
+  return {
+    url: config.SUPABASE_URL.replace(/\/$/, ''),
+    key: config.SUPABASE_KEY,
+    headers: {
+      apikey: config.SUPABASE_KEY,
+      Authorization: `Bearer ${config.SUPABASE_KEY}`,
+      'Content-Type': 'application/json',
+    },
+  };
+}
+
+// Returns an error message, or null if the timing fields are valid
+function validateTiming({ every, cron, timezone }, requireOne = true) {
+  if (every && cron) {
+    return 'Provide either every or cron, not both';
+  }
+  if (requireOne && !every && !cron) {
+    return 'Either every (e.g. "24h") or cron is required';
+  }
+  if (every && !parseInterval(every)) {
+    return 'every must look like "30m", "24h" or "7d"';
+  }
+  if (cron && !validateCron(cron, timezone || 'UTC')) {
+    return 'Invalid cron expression';
+  }
+  return null;
+}
+
+function validateMaxAds(maxAds) {
+  if (maxAds === undefined || maxAds === null) {
+    return null;
+  }
+  const value = parseInt(maxAds, 10);
+  if (Number.isNaN(value) || value < 1) {
+    return 'max_ads must be a positive number';
+  }
+  if (value > config.MAX_ADS_PER_BRAND) {
+    return `Maximum ${config.MAX_ADS_PER_BRAND} ads per page allowed`;
+  }
+  return null;
+}
+
+// Resolves a user_brand row to its user, brand and Facebook page_id
+async function resolveUserBrand(userBrandId) {
+  const supabaseConfig = getSupabaseConfig();
+  if (!supabaseConfig) {
+    return null;
+  }
+
+  const response = await axios.get(`${supabaseConfig.url}/rest/v1/user_brand`, {
+    headers: supabaseConfig.headers,
+    params: {
+      id: `eq.${userBrandId}`,
+      select: 'id,user_id,brand_id,brands(platform_id)',
+    },
+    timeout: 30000,
+  });
+
+  const rows = response.data;
+  if (!rows || rows.length === 0 || !rows[0].brands?.platform_id) {
+    return null;
+  }
+
+  return {
+    user_id: rows[0].user_id,
+    brand_id: rows[0].brand_id,
+    page_id: rows[0].brands.platform_id,
+  };
+}
+
+async function withLastJob(schedules) {
+  const jobManager = new JobManager();
+  await jobManager.init();
+
+  const result = [];
+  for (const schedule of schedules) {
+    const lastJob = schedule.last_job_id ? await jobManager.getJob(schedule.last_job_id) : null;
+    result.push({
+      ...schedule,
+      last_job: lastJob
+        ? {
+            job_id: lastJob.job_id,
+            status: lastJob.status,
+            started_at: lastJob.started_at,
+            completed_at: lastJob.completed_at,
+            error: lastJob.error,
+          }
+        : null,
+    });
+  }
+
+  await jobManager.close();
+  return result;
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const scheduleManager = new ScheduleManager();
+    await scheduleManager.init();
+    const schedules = await scheduleManager.getAllSchedules({
+      page_id: req.query.page_id,
+      user_id: req.query.user_id,
+    });
+    await scheduleManager.close();
+
+    res.json({
+      total: schedules.length,
+      schedules: await withLastJob(schedules),
+    });
+  } catch (error) {
+    apiLogger.error(`[API] Error listing schedules: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/:scheduleId', async (req, res) => {
+  try {
+    const scheduleManager = new ScheduleManager();
+    await scheduleManager.init();
+    const schedule = await scheduleManager.getSchedule(req.params.scheduleId);
+    await scheduleManager.close();
+
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const [detailed] = await withLastJob([schedule]);
+    res.json(detailed);
+  } catch (error) {
+    apiLogger.error(`[API] Error getting schedule: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const redisAvailable = await checkRedisConnection();
+    if (!redisAvailable) {
+      return res.status(503).json({ error: 'Redis is not available' });
+    }
+
+    const { page_id, user_brand_id, period, max_ads } = req.body;
+
+    const timingError = validateTiming(req.body) || validateMaxAds(max_ads);
+    if (timingError) {
+      return res.status(400).json({ error: timingError });
+    }
+
+    if (!period) {
+      return res.status(400).json({ error: 'period is required for scheduled scrapes' });
+    }
+    const periodError = validatePeriod(period);
+    if (periodError) {
+      return res.status(400).json({ error: periodError });
+    }
+
+    const scheduleData = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        scheduleData[field] = req.body[field];
+      }
+    }
+    if (scheduleData.max_ads !== undefined) {
+      scheduleData.max_ads = parseInt(scheduleData.max_ads, 10);
+    }
+
+    if (user_brand_id) {
+      const userBrand = await resolveUserBrand(user_brand_id);
+      if (!userBrand) {
+        return res.status(404).json({ error: 'user_brand not found or brand has no page_id' });
+      }
+      Object.assign(scheduleData, userBrand, { user_brand_id });
+    } else if (page_id) {
+      scheduleData.page_id = page_id;
+    } else {
+      return res.status(400).json({ error: 'page_id or user_brand_id required' });
+    }
+
+    const scheduleManager = new ScheduleManager();
+    await scheduleManager.init();
+    const schedule = await scheduleManager.createSchedule(scheduleData);
+    await scheduleManager.close();
+
+    res.status(201).json(schedule);
+  } catch (error) {
+    apiLogger.error(`[API] Error creating schedule: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.patch('/:scheduleId', async (req, res) => {
+  try {
+    const updates = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    }
+
+    const validationError = validateTiming(updates, false) || validateMaxAds(updates.max_ads);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    if (updates.period !== undefined) {
+      const periodError = updates.period ? validatePeriod(updates.period) : 'period is required for scheduled scrapes';
+      if (periodError) {
+        return res.status(400).json({ error: periodError });
+      }
+    }
+    if (updates.max_ads !== undefined) {
+      updates.max_ads = parseInt(updates.max_ads, 10);
+    }
+
+    const scheduleManager = new ScheduleManager();
+    await scheduleManager.init();
+    const schedule = await scheduleManager.updateSchedule(req.params.scheduleId, updates);
+    await scheduleManager.close();
+
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    res.json(schedule);
+  } catch (error) {
+    apiLogger.error(`[API] Error updating schedule: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/:scheduleId', async (req, res) => {
+  try {
+    const { scheduleId } = req.params;
+    const scheduleManager = new ScheduleManager();
+    await scheduleManager.init();
+
+    const schedule = await scheduleManager.getSchedule(scheduleId);
+    if (!schedule) {
+      await scheduleManager.close();
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    await scheduleManager.deleteSchedule(scheduleId);
+    await scheduleManager.close();
+
+    res.json({ message: `Schedule ${scheduleId} deleted` });
+  } catch (error) {
+    apiLogger.error(`[API] Error deleting schedule: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/:scheduleId/run', async (req, res) => {
+  try {
+    const { scheduleId } = req.params;
+    const scheduleManager = new ScheduleManager();
+    await scheduleManager.init();
+
+    const schedule = await scheduleManager.getSchedule(scheduleId);
+    if (!schedule) {
+      await scheduleManager.close();
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const { job, reason } = await scheduleManager.runNow(scheduleId);
+    await scheduleManager.close();
+
+    if (reason === 'active') {
+      return res.status(409).json({ error: 'Previous run is still queued, running or retrying' });
+    }
+    if (reason === 'not_found') {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    if (reason === 'unavailable') {
+      return res.status(503).json({ error: 'Redis is not available' });
+    }
+    if (!job) {
+      return res.status(500).json({ error: 'Failed to create job' });
+    }
+
+    res.json({
+      job_id: job.job_id,
+      status: 'queued',
+      message: `Queued job ${job.job_id} for schedule ${scheduleId}`,
+    });
+  } catch (error) {
+    apiLogger.error(`[API] Error running schedule: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,59 @@
+import express from 'express';
+import { checkRedisConnection } from '../core/redis.js';
+import { WorkerRegistry } from '../core/workers.js';
+import { apiLogger } from '../core/logger.js';
+
+const router = express.Router();
+
+router.get('/', async (req, res) => {
+  try {
+    const redisAvailable = await checkRedisConnection();
+    if (!redisAvailable) {
+      return res.status(503).json({ error: 'Redis is not available' });
+    }
+
+    const registry = new WorkerRegistry();
+    const { workers, orphaned_jobs } = await registry.listWorkers();
+    await registry.close();
+
+    const alive = workers.filter((w) => w.alive);
+    res.json({
+      total: workers.length,
+      alive: alive.length,
+      stale: workers.length - alive.length,
+      // Slots per stage across live workers
+      capacity: alive.reduce((totals, w) => {
+        for (const [stage, slots] of Object.entries(w.capacity || {})) {
+          totals[stage] = (totals[stage] || 0) + slots;
+        }
+        return totals;
+      }, {}),
+      active_jobs: alive.reduce((sum, w) => sum + w.active_jobs.length, 0),
+      workers,
+      orphaned_jobs,
+    });
+  } catch (error) {
+    apiLogger.error(`[API] Error listing workers: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/:workerId', async (req, res) => {
+  try {
+    const registry = new WorkerRegistry();
+    const { workers } = await registry.listWorkers();
+    await registry.close();
+
+    const worker = workers.find((w) => w.worker_id === req.params.workerId);
+    if (!worker) {
+      return res.status(404).json({ error: 'Worker not found' });
+    }
+
+    res.json(worker);
+  } catch (error) {
+    apiLogger.error(`[API] Error getting worker: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
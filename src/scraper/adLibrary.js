@@ -0,0 +1,209 @@
+const AD_LIBRARY_BASE_URL = 'https://www.facebook.com/ads/library/';
+
+export function buildPageAdsUrl(pageId) {
+  return `${AD_LIBRARY_BASE_URL}?active_status=all&ad_type=all&country=ALL&is_targeted_country=false&media_type=all&search_type=page&sort_data[mode]=relevancy_monthly_grouped&sort_data[direction]=desc&view_all_page_id=${pageId}`;
+}
+
+// Ad Library filter values accepted for search jobs
+export const SEARCH_MATCH_TYPES = {
+  keyword: 'keyword_unordered',
+  phrase: 'keyword_exact_phrase',
+};
+export const AD_TYPES = ['all', 'political_and_issue_ads', 'housing_ads', 'employment_ads', 'financial_products_and_services_ads'];
+
+// Ad Library search across all advertisers. match is "keyword" (any order) or "phrase" (exact).
+// Country, media type and the other filters are set with applyAdLibraryFilters.
+export function buildSearchAdsUrl({ query, match = 'keyword', ad_type = 'all' }) {
+  const q = match === 'phrase' ? `"${query}"` : query;
+  const params = new URLSearchParams({
+    active_status: 'all',
+    ad_type,
+    country: 'ALL',
+    is_targeted_country: 'false',
+    media_type: 'all',
+    q,
+    search_type: SEARCH_MATCH_TYPES[match],
+  });
+  return `${AD_LIBRARY_BASE_URL}?${params.toString()}`;
+}
+
+// Filters a job can set, forwarded to both the Ad Library URL and the Apify actor input
+export const ACTIVE_STATUSES = ['all', 'active', 'inactive'];
+export const MEDIA_TYPES = ['all', 'image', 'video', 'meme', 'image_and_meme', 'none'];
+export const PLATFORMS = ['facebook', 'instagram', 'audience_network', 'messenger', 'threads'];
+// Sort order name -> Ad Library sort_data[mode] and actor sortBy
+export const SORT_ORDERS = {
+  most_recent: { url: 'relevancy_monthly_grouped', actor: 'most_recent' },
+  impressions: { url: 'total_impressions', actor: 'impressions' },
+};
+
+// Periods the Apify actor accepts: ads from the last day, week, two weeks or month
+export const PERIODS = ['last24h', 'last7d', 'last14d', 'last30d'];
+
+// Returns an error message, or null if period is empty or one of PERIODS
+export function validatePeriod(period) {
+  if (period === undefined || period === null || period === '') {
+    return null;
+  }
+  if (!PERIODS.includes(period)) {
+    return `period must be one of ${PERIODS.join(', ')}`;
+  }
+  return null;
+}
+
+// The values the scraper used before filters could be set
+export const DEFAULT_AD_LIBRARY_FILTERS = {
+  active_status: 'all',
+  countries: ['ALL'],
+  media_type: 'all',
+  languages: [],
+  platforms: [],
+  sort: 'most_recent',
+};
+
+export function withDefaultFilters(filters) {
+  return { ...DEFAULT_AD_LIBRARY_FILTERS, ...(filters || {}) };
+}
+
+// Sets the given filters on an Ad Library URL. Fields missing from filters leave the URL's
+// own value alone. With several countries the first one goes in the URL, see adLibraryUrlsFor.
+export function applyAdLibraryFilters(url, filters) {
+  const parsed = new URL(url);
+  const params = parsed.searchParams;
+
+  if (filters.active_status) {
+    params.set('active_status', filters.active_status);
+  }
+  if (filters.countries && filters.countries.length > 0) {
+    params.set('country', filters.countries[0]);
+  }
+  if (filters.media_type) {
+    params.set('media_type', filters.media_type);
+  }
+  if (filters.sort) {
+    params.set('sort_data[mode]', SORT_ORDERS[filters.sort].url);
+    params.set('sort_data[direction]', 'desc');
+  }
+  for (const [field, param] of [
+    ['languages', 'content_languages'],
+    ['platforms', 'publisher_platforms'],
+  ]) {
+    if (!filters[field]) {
+      continue;
+    }
+    for (const key of [...params.keys()].filter((k) => k.startsWith(`${param}[`))) {
+      params.delete(key);
+    }
+    filters[field].forEach((value, i) => params.set(`${param}[${i}]`, value));
+  }
+
+  // Keep the brackets readable, the Ad Library accepts both forms
+  return parsed.toString().replace(/%5B/g, '[').replace(/%5D/g, ']');
+}
+
+// The filters an Ad Library URL already sets, the reverse of applyAdLibraryFilters. Parameters
+// with a value the filters don't accept are left out.
+export function readAdLibraryUrlFilters(url) {
+  const params = new URL(url).searchParams;
+  const filters = {};
+
+  const activeStatus = params.get('active_status');
+  if (ACTIVE_STATUSES.includes(activeStatus)) {
+    filters.active_status = activeStatus;
+  }
+  const country = (params.get('country') || '').toUpperCase();
+  if (country === 'ALL' || /^[A-Z]{2}$/.test(country)) {
+    filters.countries = [country];
+  }
+  const mediaType = params.get('media_type');
+  if (MEDIA_TYPES.includes(mediaType)) {
+    filters.media_type = mediaType;
+  }
+  const sort = Object.keys(SORT_ORDERS).find((name) => SORT_ORDERS[name].url === params.get('sort_data[mode]'));
+  if (sort) {
+    filters.sort = sort;
+  }
+  for (const [field, param, accepts] of [
+    ['languages', 'content_languages', (value) => /^[a-z]{2}$/.test(value)],
+    ['platforms', 'publisher_platforms', (value) => PLATFORMS.includes(value)],
+  ]) {
+    const values = [...params.keys()]
+      .filter((key) => key.startsWith(`${param}[`))
+      .map((key) => params.get(key).toLowerCase())
+      .filter(accepts);
+    if (values.length > 0) {
+      filters[field] = [...new Set(values)];
+    }
+  }
+
+  return filters;
+}
+
+// The Ad Library URL holds one country, so a job filtered on several is scraped as one URL per country
+export function adLibraryUrlsFor(url, filters) {
+  const countries = filters && filters.countries ? filters.countries : [];
+  if (countries.length <= 1) {
+    return [url];
+  }
+  return countries.map((country) => applyAdLibraryFilters(url, { countries: [country] }));
+}
+
+export function extractPageId(url) {
+  const patterns = [/view_all_page_id=(\d+)/, /page_id=(\d+)/];
+  for (const pattern of patterns) {
+    const match = url.match(pattern);
+    if (match) {
+      return match[1];
+    }
+  }
+  return 'unknown';
+}
+
+// Accepts a page ID, an Ad Library URL or a Facebook page URL that carries the numeric page ID.
+// Returns { page_id, url } or { error }.
+export function resolvePageTarget(value) {
+  const input = String(value).trim();
+  if (/^\d+$/.test(input)) {
+    return { page_id: input, url: buildPageAdsUrl(input) };
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(/^https?:\/\//i.test(input) ? input : `https://${input}`);
+  } catch {
+    return { error: `Not a page ID or URL: ${input}` };
+  }
+  if (!/(^|\.)facebook\.com$/i.test(parsed.hostname)) {
+    return { error: `Not a Facebook URL: ${input}` };
+  }
+
+  // Ad Library URLs are scraped as given, so their own filters apply
+  if (parsed.pathname.startsWith('/ads/library')) {
+    const pageId = extractPageId(input);
+    if (pageId === 'unknown') {
+      return { error: 'Ad Library URL has no view_all_page_id' };
+    }
+    return { page_id: pageId, url: parsed.href };
+  }
+
+  // facebook.com/profile.php?id=<id>, facebook.com/<id> and facebook.com/people/<name>/<id>
+  const segments = parsed.pathname.split('/').filter(Boolean);
+  const pageId =
+    parsed.searchParams.get('id') ||
+    (segments.length === 1 && segments[0]) ||
+    (segments[0] === 'people' && segments[2]);
+  if (pageId && /^\d+$/.test(pageId)) {
+    return { page_id: pageId, url: buildPageAdsUrl(pageId) };
+  }
+  return { error: `Can't read a page ID from ${input}, use the numeric page ID or an Ad Library URL` };
+}
+
+export default {
+  buildPageAdsUrl,
+  buildSearchAdsUrl,
+  applyAdLibraryFilters,
+  adLibraryUrlsFor,
+  withDefaultFilters,
+  extractPageId,
+  resolvePageTarget,
+};
@@ -1,26 +1,40 @@
 import { ApifyClient } from 'apify-client';
 import config from '../config/index.js';
 import { workerLogger } from '../core/logger.js';
+import { SHUTDOWN_REASON, throwIfCancelled } from '../core/cancellation.js';
+import { SORT_ORDERS, adLibraryUrlsFor, withDefaultFilters } from './adLibrary.js';
 
 export class ApifyFacebookScraper {
   constructor(apiToken, actorId = null) {
     this.apiToken = apiToken;
     this.actorId = actorId || config.APIFY_ACTOR_ID;
     this.client = new ApifyClient({ token: apiToken });
+    this.lastRunUsage = null;
+    this.currentRunId = null;
   }
 
+  // url may be a list of Ad Library URLs scraped in one run, the results then mix all pages.
+  // maxResults is the actor's count, which it applies to each URL: a job filtered on several
+  // countries gets up to maxResults ads per country, and an ad shown in more than one of them
+  // is only returned once.
+  // The dataset is read in pages of APIFY_DATASET_PAGE_SIZE. With onItems, each page is passed
+  // to it while the run is still going and not kept, and scrape resolves with the item count.
   async scrape(
     url,
     maxResults = 100,
     progressCallback = null,
     period = null,
     startDateFormatted = null,
-    endDateFormatted = null
+    endDateFormatted = null,
+    { signal = null, resumeRun = null, onRunStarted = null, filters = null, onItems = null } = {}
   ) {
+    const adFilters = withDefaultFilters(filters);
     workerLogger.info('='.repeat(60));
     workerLogger.info('[Apify] Starting scraper...');
-    workerLogger.info(`[Apify] URL: ${url}`);
+    const urls = Array.isArray(url) ? url : [url];
+    workerLogger.info(`[Apify] URL: ${urls.join(', ')}`);
     workerLogger.info(`[Apify] Max results: ${maxResults}`);
+    workerLogger.info(`[Apify] Filters: ${JSON.stringify(adFilters)}`);
     workerLogger.info('='.repeat(60));
 
     if (progressCallback) {
@@ -29,13 +43,22 @@ export class ApifyFacebookScraper {
 
     // Prepare input
     const runInput = {
-      urls: [{ url }],
+      urls: urls.flatMap((pageUrl) => adLibraryUrlsFor(pageUrl, adFilters)).map((runUrl) => ({ url: runUrl })),
       count: maxResults,
       scrapeAdDetails: false,
-      'scrapePageAds.activeStatus': 'all',
-      'scrapePageAds.countryCode': 'ALL',
-      'scrapePageAds.sortBy': 'most_recent'
+      'scrapePageAds.activeStatus': adFilters.active_status,
+      'scrapePageAds.countryCode': adFilters.countries.length === 1 ? adFilters.countries[0] : 'ALL',
+      'scrapePageAds.sortBy': SORT_ORDERS[adFilters.sort].actor
     };
+    if (adFilters.media_type !== 'all') {
+      runInput['scrapePageAds.mediaType'] = adFilters.media_type;
+    }
+    if (adFilters.languages.length > 0) {
+      runInput['scrapePageAds.languages'] = adFilters.languages;
+    }
+    if (adFilters.platforms.length > 0) {
+      runInput['scrapePageAds.platforms'] = adFilters.platforms;
+    }
 
     // Add period filter if provided (takes precedence over date filters)
     if (period) {
@@ -62,12 +85,26 @@ export class ApifyFacebookScraper {
     let runId;
     let datasetId;
 
+    throwIfCancelled(signal);
+
     try {
-      // Run the actor (start without waiting)
-      const run = await this.client.actor(this.actorId).call(runInput, { waitSecs: 0 });
-      runId = run.id;
-      datasetId = run.defaultDatasetId;
-      workerLogger.info(`[Apify] Run started! Run ID: ${runId}`);
+      if (resumeRun && resumeRun.run_id) {
+        // Reattach to the run a previous attempt started instead of paying for a new one
+        runId = resumeRun.run_id;
+        datasetId = resumeRun.dataset_id;
+        this.currentRunId = runId;
+        workerLogger.info(`[Apify] Resuming run ${runId}`);
+      } else {
+        // Run the actor (start without waiting)
+        const run = await this.client.actor(this.actorId).call(runInput, { waitSecs: 0 });
+        runId = run.id;
+        datasetId = run.defaultDatasetId;
+        this.currentRunId = runId;
+        workerLogger.info(`[Apify] Run started! Run ID: ${runId}`);
+        if (onRunStarted) {
+          await onRunStarted({ run_id: runId, dataset_id: datasetId });
+        }
+      }
     } catch (error) {
       const errorMsg = error.message || String(error);
       
@@ -92,25 +129,83 @@ export class ApifyFacebookScraper {
       progressCallback(0, maxResults, 'Waiting for actor to complete...');
     }
 
+    // Dataset items read so far, only kept when there is no onItems to hand them to
+    const pageSize = Math.max(config.APIFY_DATASET_PAGE_SIZE, 1);
+    const items = [];
+    let fetched = 0;
+    let kept = 0;
+    // Ad ids already returned, the country URLs of one job overlap
+    const seen = new Set();
+    const fetchNewItems = async () => {
+      for (;;) {
+        const page = await this.client.dataset(datasetId).listItems({ offset: fetched, limit: pageSize });
+        if (page.items.length === 0) {
+          return;
+        }
+        fetched += page.items.length;
+        const newItems = page.items.filter((item) => {
+          if (!item.ad_archive_id) {
+            return true;
+          }
+          const adKey = String(item.ad_archive_id);
+          if (seen.has(adKey)) {
+            return false;
+          }
+          seen.add(adKey);
+          return true;
+        });
+        kept += newItems.length;
+        if (onItems) {
+          if (newItems.length > 0) {
+            await onItems(newItems);
+          }
+        } else {
+          items.push(...newItems);
+        }
+        if (progressCallback) {
+          progressCallback(fetched, Math.max(maxResults, fetched), `Fetched ${fetched} ads from dataset`);
+        }
+        if (page.items.length < pageSize) {
+          return;
+        }
+      }
+    };
+
     let runStatus;
     let pollCount = 0;
     const maxPolls = 3600; // 1 hour max (poll every second)
 
     while (pollCount < maxPolls) {
+      if (signal && signal.aborted) {
+        // On worker shutdown the run keeps going so the job can resume and reattach to it
+        if (signal.reason !== SHUTDOWN_REASON && this.currentRunId === runId) {
+          await this._abortRun(runId);
+        }
+        throwIfCancelled(signal);
+      }
+
       try {
         const runInfo = await this.client.run(runId).get();
         runStatus = runInfo.status;
 
         if (runStatus === 'SUCCEEDED') {
           workerLogger.info('[Apify] Run completed successfully');
+          // Platform usage of the finished run, for the per-page cost stats
+          this.lastRunUsage = {
+            usd: runInfo.usageTotalUsd || 0,
+            compute_units: (runInfo.stats && runInfo.stats.computeUnits) || 0,
+          };
           break;
         } else if (runStatus === 'FAILED' || runStatus === 'ABORTED') {
           const errorMsg = runInfo.statusMessage || 'Actor run failed';
           workerLogger.error(`[Apify] Run failed: ${errorMsg}`);
           throw new Error(`Apify run failed: ${errorMsg}`);
         } else if (runStatus === 'RUNNING') {
-          // Update progress if available
-          if (runInfo.stats && runInfo.stats.itemsProcessed) {
+          if (onItems) {
+            // Ads already in the dataset move on while the actor keeps scraping
+            await fetchNewItems();
+          } else if (runInfo.stats && runInfo.stats.itemsProcessed) {
+            // Update progress if available
             const processed = runInfo.stats.itemsProcessed;
             if (progressCallback) {
               progressCallback(processed, maxResults, `Processing... ${processed}/${maxResults}`);
@@ -131,26 +226,47 @@ export class ApifyFacebookScraper {
       throw new Error('Apify run timed out after 1 hour');
     }
 
+    throwIfCancelled(signal);
+
     // Fetch results from dataset
     if (progressCallback) {
-      progressCallback(0, maxResults, 'Fetching results from dataset...');
+      progressCallback(fetched, Math.max(maxResults, fetched), 'Fetching results from dataset...');
     }
 
     try {
-      const { items } = await this.client.dataset(datasetId).listItems();
-      workerLogger.info(`[Apify] Fetched ${items.length} ads from dataset`);
+      await fetchNewItems();
+      workerLogger.info(`[Apify] Fetched ${fetched} ads from dataset, ${kept} unique`);
 
       if (progressCallback) {
-        progressCallback(items.length, items.length, 'Fetching complete');
+        progressCallback(fetched, fetched, 'Fetching complete');
       }
 
-      return items;
+      return onItems ? kept : items;
     } catch (error) {
       workerLogger.error(`[Apify] Error fetching dataset: ${error.message}`);
       throw new Error(`Failed to fetch results: ${error.message}`);
     }
   }
 
+  // Aborts the run in progress, scrape() then fails with the run's ABORTED status
+  async cancel() {
+    if (this.currentRunId) {
+      const runId = this.currentRunId;
+      this.currentRunId = null;
+      await this._abortRun(runId);
+    }
+  }
+
+  // Stops the actor so a cancelled job doesn't keep consuming Apify credits
+  async _abortRun(runId) {
+    try {
+      await this.client.run(runId).abort();
+      workerLogger.info(`[Apify] Aborted run ${runId}`);
+    } catch (error) {
+      workerLogger.warn(`[Apify] Failed to abort run ${runId}: ${error.message}`);
+    }
+  }
+
   async close() {
     // Apify client doesn't need explicit cleanup
   }
@@ -0,0 +1,132 @@
+import { readdir, readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { workerLogger } from '../core/logger.js';
+import { JobCancelledError, throwIfCancelled } from '../core/cancellation.js';
+import { extractPageId } from './adLibrary.js';
+
+function adText(ad) {
+  const snapshot = ad.snapshot || {};
+  const body = snapshot.body || {};
+  const text = typeof body === 'object' ? body.text || '' : String(body);
+  return `${ad.page_name || ''} ${snapshot.title || ''} ${text}`.toLowerCase();
+}
+
+// Offline provider: replays the ad JSON files saved in the data directory
+// (<page_id>_<timestamp>.json, as written by the worker's save_json step).
+// Page URLs get the newest file of their page, keyword search URLs the ads whose
+// text mentions the query. Ad Library filters are not applied.
+export class FixtureScraper {
+  constructor(fixtureDir) {
+    this.fixtureDir = fixtureDir;
+    this.lastRunUsage = null;
+    this.cancelled = false;
+  }
+
+  async scrape(
+    url,
+    maxResults = 100,
+    progressCallback = null,
+    period = null,
+    startDateFormatted = null,
+    endDateFormatted = null,
+    { signal = null } = {}
+  ) {
+    const urls = Array.isArray(url) ? url : [url];
+    workerLogger.info(`[Fixture] Replaying ads from ${this.fixtureDir} for ${urls.length} URL(s)`);
+    this.cancelled = false;
+
+    if (progressCallback) {
+      progressCallback(0, maxResults, 'Reading fixture files...');
+    }
+
+    if (!existsSync(this.fixtureDir)) {
+      throw new Error(`Fixture directory ${this.fixtureDir} does not exist`);
+    }
+    const files = (await readdir(this.fixtureDir)).filter((name) => name.endsWith('.json')).sort();
+
+    const ads = [];
+    for (const pageUrl of urls) {
+      this._throwIfCancelled(signal);
+      const found = await this._adsFor(pageUrl, files, signal);
+      ads.push(...found.slice(0, maxResults));
+    }
+
+    // Replayed ads go through analysis again
+    for (const ad of ads) {
+      delete ad.analysis;
+    }
+
+    workerLogger.info(`[Fixture] Loaded ${ads.length} ads`);
+    if (progressCallback) {
+      progressCallback(ads.length, ads.length, 'Fixtures loaded');
+    }
+    this.lastRunUsage = { usd: 0, compute_units: 0 };
+    return ads;
+  }
+
+  cancel() {
+    this.cancelled = true;
+  }
+
+  async _adsFor(pageUrl, files, signal) {
+    const pageId = extractPageId(pageUrl);
+    if (pageId !== 'unknown') {
+      // Newest saved file of the page, file names sort by timestamp
+      const pageFiles = files.filter((name) => name.startsWith(`${pageId}_`));
+      if (pageFiles.length > 0) {
+        return this._readFile(pageFiles[pageFiles.length - 1]);
+      }
+      return this._collect(files, signal, (ad) => String(ad.page_id) === pageId);
+    }
+
+    const query = new URL(pageUrl).searchParams.get('q');
+    if (query) {
+      const needle = query.replace(/^"|"$/g, '').toLowerCase();
+      return this._collect(files, signal, (ad) => adText(ad).includes(needle));
+    }
+
+    workerLogger.warn(`[Fixture] No page ID or search query in ${pageUrl}`);
+    return [];
+  }
+
+  // Ads across all files matching `predicate`, each ad once
+  async _collect(files, signal, predicate) {
+    const seen = new Set();
+    const ads = [];
+    for (const name of files) {
+      this._throwIfCancelled(signal);
+      for (const ad of await this._readFile(name)) {
+        const key = String(ad.ad_archive_id);
+        if (!seen.has(key) && predicate(ad)) {
+          seen.add(key);
+          ads.push(ad);
+        }
+      }
+    }
+    return ads;
+  }
+
+  async _readFile(name) {
+    try {
+      const data = JSON.parse(await readFile(join(this.fixtureDir, name), 'utf-8'));
+      return Array.isArray(data) ? data : [];
+    } catch (error) {
+      workerLogger.warn(`[Fixture] Skipping ${name}: ${error.message}`);
+      return [];
+    }
+  }
+
+  _throwIfCancelled(signal) {
+    if (this.cancelled) {
+      throw new JobCancelledError();
+    }
+    throwIfCancelled(signal);
+  }
+
+  async close() {
+    // Nothing to clean up
+  }
+}
+
+export default FixtureScraper;
@@ -0,0 +1,28 @@
+import config from '../config/index.js';
+import ApifyFacebookScraper from './apifyScraper.js';
+import FixtureScraper from './fixtureScraper.js';
+
+// A scraper provider turns Ad Library URLs into raw ad objects:
+//   scrape(url, maxResults, progressCallback, period, startDate, endDate, { signal, resumeRun, onRunStarted, filters, onItems })
+//     resolves with the ads. url may be a list of URLs scraped together, progressCallback(current, total, message)
+//     reports progress, and aborting signal stops the scrape with a JobCancelledError. A provider that pages
+//     through its results passes each page to the async onItems(ads) as it comes in and resolves with the
+//     count instead, others may ignore onItems.
+//   cancel() stops the scrape in progress. The worker calls it when the job is cancelled through the API,
+//     not on shutdown, where a run is left going so the job can resume from it.
+//   lastRunUsage: { usd } of the last finished scrape, or null.
+//   close()
+export const SCRAPER_PROVIDERS = {
+  apify: () => new ApifyFacebookScraper(config.APIFY_API_TOKEN),
+  fixture: () => new FixtureScraper(config.FIXTURE_DIR),
+};
+
+export function createScraper(provider = config.SCRAPER_PROVIDER) {
+  const factory = SCRAPER_PROVIDERS[provider];
+  if (!factory) {
+    throw new Error(`Unknown scraper provider "${provider}", use one of ${Object.keys(SCRAPER_PROVIDERS).join(', ')}`);
+  }
+  return factory();
+}
+
+export default { SCRAPER_PROVIDERS, createScraper };
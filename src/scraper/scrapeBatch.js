@@ -0,0 +1,109 @@
+import config from '../config/index.js';
+import { JobCancelledError, SHUTDOWN_REASON } from '../core/cancellation.js';
+import { createScraper } from './providers.js';
+
+// A batched run returns the ads of all its pages, each job keeps its own page's
+export function adsForPage(ads, pageId) {
+  return ads.filter((ad) => String(ad.page_id) === String(pageId));
+}
+
+// One Apify run shared by several page jobs with the same filters. Every job waits for the
+// run with its own signal and gets back only its page's ads, so each job still completes,
+// fails or is cancelled on its own.
+export class ScrapeBatch {
+  constructor(jobs) {
+    this.jobs = jobs;
+    this.controller = new AbortController();
+    this.signals = new Map();
+    this.scraper = createScraper();
+    this.run = null;
+    this.adsKept = 0;
+  }
+
+  _maxAds(job) {
+    return Math.min(job.max_ads || config.MAX_ADS_PER_BRAND, config.MAX_ADS_PER_BRAND);
+  }
+
+  // The run itself is only stopped once every job in it has been
+  attach(jobId, signal) {
+    this.signals.set(jobId, signal);
+    signal.addEventListener(
+      'abort',
+      () => {
+        const signals = [...this.signals.values()];
+        if (!signals.every((s) => s.aborted)) {
+          return;
+        }
+        // On shutdown the run is left going so the released jobs can resume from it
+        const shutdown = signals.some((s) => s.reason === SHUTDOWN_REASON);
+        this.controller.abort(shutdown ? SHUTDOWN_REASON : signal.reason);
+        if (!shutdown) {
+          this.scraper.cancel();
+        }
+      },
+      { once: true }
+    );
+  }
+
+  // Starts the shared run, the callbacks are called once for the whole batch. The actor applies
+  // count to each URL, so the run asks for as many ads as the job that wants the most.
+  start({ onRunStarted = null, onProgress = null } = {}) {
+    const [lead] = this.jobs;
+    const maxAds = Math.max(...this.jobs.map((job) => this._maxAds(job)));
+
+    // Scrapers don't wait for progress callbacks, chain the writes and let them finish
+    // before the jobs go on to record their own progress
+    let progressWrites = Promise.resolve();
+    const progress = onProgress
+      ? (...args) => {
+          progressWrites = progressWrites.then(() => onProgress(...args)).catch(() => {});
+        }
+      : null;
+
+    this.run = this.scraper
+      .scrape(
+        this.jobs.map((job) => job.url),
+        maxAds,
+        progress,
+        lead.period,
+        lead.start_date_formatted,
+        lead.end_date_formatted,
+        { signal: this.controller.signal, onRunStarted, filters: lead.filters }
+      )
+      .then(async (ads) => {
+        await progressWrites;
+        this.adsKept = this.jobs.reduce(
+          (sum, job) => sum + Math.min(adsForPage(ads || [], job.page_id).length, this._maxAds(job)),
+          0
+        );
+        return ads || [];
+      });
+    // Failures reach every job through adsFor
+    this.run.catch(() => {});
+    return this.run;
+  }
+
+  // Resolves with the job's ads once the run is done. Rejects with JobCancelledError as soon
+  // as the job's own signal fires, without waiting for the run.
+  async adsFor(job, signal) {
+    const ads = await new Promise((resolve, reject) => {
+      const onAbort = () => reject(new JobCancelledError());
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener('abort', onAbort, { once: true });
+      this.run.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+
+    return adsForPage(ads, job.page_id).slice(0, this._maxAds(job));
+  }
+
+  // A job's share of the run's cost, split by the number of ads each job kept
+  usdShare(adCount) {
+    const usd = this.scraper.lastRunUsage ? this.scraper.lastRunUsage.usd : 0;
+    return this.adsKept ? (usd * adCount) / this.adsKept : 0;
+  }
+}
+
+export default ScrapeBatch;
@@ -1,28 +1,52 @@
 import config from './config/index.js';
-import { checkRedisConnection, JobManager } from './core/redis.js';
+import { checkRedisConnection, JobManager, PIPELINE_STAGES, parseStageTask } from './core/redis.js';
 import { workerLogger } from './core/logger.js';
-import ApifyFacebookScraper from './scraper/apifyScraper.js';
+import { createScraper, SCRAPER_PROVIDERS } from './scraper/providers.js';
+import { ScrapeBatch, adsForPage } from './scraper/scrapeBatch.js';
 import AdAnalyzer from './analyzer/adAnalyzer.js';
 import SupabaseStorage from './db/supabaseStorage.js';
-import { writeFile } from 'fs/promises';
+import { ScheduleManager } from './core/schedules.js';
+import { classifyError } from './core/retry.js';
+import { WebhookDispatcher } from './core/webhooks.js';
+import { JobCancelledError, SHUTDOWN_REASON, throwIfCancelled } from './core/cancellation.js';
+import JobHistoryStore from './db/jobHistory.js';
+import { WorkerRegistry } from './core/workers.js';
+import { PageStatsManager, classifyMedia } from './core/pageStats.js';
+import { runWithJobContext } from './core/jobContext.js';
+import { open } from 'fs/promises';
 import { join } from 'path';
 import { existsSync, mkdirSync } from 'fs';
+import { hostname } from 'os';
+import { v4 as uuidv4 } from 'uuid';
 import axios from 'axios';
 
 // Mark this as a worker process
 process.env.WORKER_PROCESS = 'true';
 
-const MAX_WORKERS = config.MAX_WORKERS;
-
 class SpiderWorker {
   constructor() {
     this.running = true;
     this.activeJobs = new Map();
+    this.lastSchedulerRun = 0;
+    this.lastOrphanCheck = 0;
+    this.lastArchiveRun = 0;
+    this.lastCancelCheck = 0;
+    this.workerId = `${hostname()}:${process.pid}:${uuidv4().substring(0, 8)}`;
+    this.heartbeatTimer = null;
+    this.deliveringWebhooks = false;
+    // Stage concurrency, only for the stages this process takes work from
+    this.concurrency = Object.fromEntries(
+      Object.entries({
+        scrape: config.SCRAPE_WORKERS,
+        analyze: config.ANALYSIS_WORKERS,
+        persist: config.PERSIST_WORKERS,
+      }).filter(([stage]) => config.WORKER_STAGES.includes(stage))
+    );
   }
 
   async run() {
     workerLogger.info('='.repeat(60));
-    workerLogger.info(`[SPIDER] Spider Worker Started (Parallel: ${MAX_WORKERS} workers)`);
+    workerLogger.info(`[SPIDER] Spider Worker Started (${this._describeConcurrency()})`);
     workerLogger.info('='.repeat(60));
 
     // Check Redis
@@ -32,8 +56,28 @@ class SpiderWorker {
       return;
     }
 
+    if (!SCRAPER_PROVIDERS[config.SCRAPER_PROVIDER]) {
+      workerLogger.error(`[Worker] Unknown SCRAPER_PROVIDER "${config.SCRAPER_PROVIDER}"`);
+      return;
+    }
+
     workerLogger.info('[Worker] Connected to Redis');
-    workerLogger.info(`[Worker] Processing up to ${MAX_WORKERS} jobs simultaneously\n`);
+    workerLogger.info(`[Worker] Worker ID: ${this.workerId}`);
+    workerLogger.info(`[Worker] Scraper provider: ${config.SCRAPER_PROVIDER}`);
+    workerLogger.info(`[Worker] Stage slots: ${this._describeConcurrency()}\n`);
+
+    await this._register();
+
+    // Heartbeat runs on its own timer so a busy main loop can't make us look dead
+    await this._sendHeartbeat();
+    this.heartbeatTimer = setInterval(() => this._sendHeartbeat(), config.WORKER_HEARTBEAT_INTERVAL_MS);
+
+    const scheduleManager = new ScheduleManager();
+    const restored = await scheduleManager.restoreDueIndex();
+    await scheduleManager.close();
+    if (restored > 0) {
+      workerLogger.info(`[Scheduler] Restored ${restored} schedule(s) to the due index`);
+    }
 
     // Main loop
     while (this.running) {
@@ -41,58 +85,68 @@ class SpiderWorker {
         // Clean up completed jobs
         this._cleanupCompletedJobs();
 
-        // Submit new jobs if we have capacity
-        const availableSlots = MAX_WORKERS - this.activeJobs.size;
-        if (availableSlots > 0) {
-          try {
-            const jobManager = new JobManager();
-            const initialized = await jobManager.init();
-            
-            if (!initialized) {
-              workerLogger.warn('[Worker] Failed to initialize Redis connection, retrying...');
-              await new Promise((resolve) => setTimeout(resolve, 2000));
-              continue;
-            }
+        // Enqueue jobs for due schedules
+        if (Date.now() - this.lastSchedulerRun >= config.SCHEDULER_INTERVAL_MS) {
+          this.lastSchedulerRun = Date.now();
+          await this._runScheduler();
+        }
 
-            for (let i = 0; i < availableSlots; i++) {
-              try {
-                const jobId = await jobManager.getQueuedJob();
-                if (jobId) {
-                  workerLogger.info(`[Worker] Found queued job: ${jobId}`);
-                  const job = await jobManager.getJob(jobId);
-                  if (job) {
-                    await jobManager.setRunning(jobId);
-                    await jobManager.close();
-
-                    // Process job in background
-                    this._processJob(jobId, job).catch((error) => {
-                      workerLogger.error(`[Worker] Job ${jobId} error: ${error.message}`);
-                    });
-                  } else {
-                    workerLogger.warn(`[Worker] Job ${jobId} not found in Redis`);
-                  }
-                } else {
-                  // No more jobs in queue
-                  break;
-                }
-              } catch (error) {
-                workerLogger.error(`[Worker] Error getting queued job: ${error.message}`);
-                workerLogger.error(`[Worker] Error stack: ${error.stack}`);
-                break;
-              }
-            }
+        // Requeue retries whose backoff has elapsed
+        await this._promoteDelayedJobs();
+
+        // Send due job callbacks in the background so slow receivers don't stall the loop
+        if (!this.deliveringWebhooks) {
+          this._deliverWebhooks();
+        }
+
+        // Requeue jobs held by workers that stopped heartbeating
+        if (Date.now() - this.lastOrphanCheck >= config.ORPHAN_CHECK_INTERVAL_MS) {
+          this.lastOrphanCheck = Date.now();
+          await this._recoverOrphanedJobs();
+        }
+
+        // Abort running jobs that were cancelled through the API
+        if (this.activeJobs.size > 0 && Date.now() - this.lastCancelCheck >= config.CANCEL_CHECK_INTERVAL_MS) {
+          this.lastCancelCheck = Date.now();
+          await this._checkCancellations();
+        }
+
+        // Move finished jobs past the retention window out of Redis
+        if (Date.now() - this.lastArchiveRun >= config.JOB_ARCHIVE_INTERVAL_MS) {
+          this.lastArchiveRun = Date.now();
+          await this._archiveExpiredJobs();
+        }
 
-            await jobManager.close();
-          } catch (error) {
-            workerLogger.error(`[Worker] Error in job submission loop: ${error.message}`);
+        // Take new work for each stage that has free slots
+        try {
+          const jobManager = new JobManager();
+          const initialized = await jobManager.init();
+
+          if (!initialized) {
+            workerLogger.warn('[Worker] Failed to initialize Redis connection, retrying...');
             await new Promise((resolve) => setTimeout(resolve, 2000));
+            continue;
+          }
+
+          if (this.concurrency.scrape) {
+            await this._claimJobs(jobManager);
+          }
+          for (const stage of PIPELINE_STAGES) {
+            if (this.concurrency[stage]) {
+              await this._claimStageTasks(jobManager, stage);
+            }
           }
+
+          await jobManager.close();
+        } catch (error) {
+          workerLogger.error(`[Worker] Error in job submission loop: ${error.message}`);
+          await new Promise((resolve) => setTimeout(resolve, 2000));
         }
 
         // Log status periodically
         if (this.activeJobs.size === 0 && Math.random() < 0.1) {
           // Log every ~10th iteration when idle (roughly every 20 seconds)
-          workerLogger.debug(`[Worker] Idle - waiting for jobs. Active: ${this.activeJobs.size}/${MAX_WORKERS}`);
+          workerLogger.debug(`[Worker] Idle - waiting for jobs. Slots: ${this._describeConcurrency()}`);
         }
 
         // Wait before next check
@@ -102,6 +156,389 @@ class SpiderWorker {
         await new Promise((resolve) => setTimeout(resolve, 5000));
       }
     }
+
+    // Keep heartbeating while draining so other workers don't recover our jobs
+    await this._drain();
+
+    clearInterval(this.heartbeatTimer);
+
+    const registry = new WorkerRegistry();
+    await registry.deregister(this.workerId);
+    await registry.close();
+  }
+
+  // Scrape stage: claims jobs from the main queue
+  async _claimJobs(jobManager) {
+    const availableSlots = this.concurrency.scrape - this._activeCount('scrape');
+
+    for (let i = 0; i < availableSlots; i++) {
+      try {
+        const jobId = await jobManager.getQueuedJob(this.workerId);
+        if (!jobId) {
+          // No more jobs in queue
+          break;
+        }
+
+        workerLogger.info(`[Worker] Found queued job: ${jobId}`);
+        const job = await jobManager.getJob(jobId);
+        if (job && !(await jobManager.setRunning(jobId, this.workerId))) {
+          // Cancelled between being queued and claimed
+          await jobManager.ackJob(jobId);
+        } else if (job) {
+          const batchJobs = await this._claimBatchJobs(jobManager, job);
+          if (batchJobs.length > 0) {
+            await this._startScrapeBatch(jobManager, [job, ...batchJobs]);
+            continue;
+          }
+
+          // Process job in background, its log lines are tagged with the job_id
+          runWithJobContext({ job_id: jobId, stage: 'scrape' }, () => this._processJob(jobId, job)).catch((error) => {
+            workerLogger.error(`[Worker] Job ${jobId} error: ${error.message}`);
+          });
+        } else {
+          workerLogger.warn(`[Worker] Job ${jobId} not found in Redis`);
+          await jobManager.ackJob(jobId);
+        }
+      } catch (error) {
+        workerLogger.error(`[Worker] Error getting queued job: ${error.message}`);
+        workerLogger.error(`[Worker] Error stack: ${error.stack}`);
+        break;
+      }
+    }
+  }
+
+  // Queued page jobs that can join this job's Apify run. Jobs resuming an earlier run go alone.
+  async _claimBatchJobs(jobManager, job) {
+    if (config.APIFY_BATCH_SIZE <= 1) {
+      return [];
+    }
+    const checkpoint = await jobManager.getCheckpoint(job.job_id);
+    if (checkpoint && checkpoint.scrape) {
+      return [];
+    }
+
+    const claimed = await jobManager.claimCompatibleJobs(this.workerId, job, config.APIFY_BATCH_SIZE - 1);
+    const jobs = [];
+    for (const candidate of claimed) {
+      if (!(await jobManager.setRunning(candidate.job_id, this.workerId))) {
+        await jobManager.ackJob(candidate.job_id);
+        continue;
+      }
+      jobs.push(await jobManager.getJob(candidate.job_id));
+    }
+    return jobs;
+  }
+
+  // Scrapes several page jobs in one Apify run, each job then carries on on its own
+  async _startScrapeBatch(jobManager, jobs) {
+    const jobIds = jobs.map((job) => job.job_id);
+    const [leadId] = jobIds;
+    workerLogger.info(`[Worker] Scraping ${jobs.length} pages in one Apify run: ${jobIds.join(', ')}`);
+
+    for (const jobId of jobIds) {
+      await jobManager.updateJob(jobId, { scrape_batch: { lead_job_id: leadId, job_ids: jobIds } });
+    }
+
+    // Outlives the claim loop's manager, for as long as the run goes
+    const runManager = new JobManager();
+    await runManager.init();
+    const batch = new ScrapeBatch(jobs);
+    // Started before the jobs, which wait on the run
+    const run = batch.start({
+      // Every job can reattach to the run if its worker stops
+      onRunStarted: async (apifyRun) => {
+        for (const jobId of jobIds) {
+          await runManager.saveScrapeCheckpoint(jobId, { ...apifyRun, batch: true });
+        }
+      },
+      onProgress: async (current, total, message) => {
+        for (const jobId of jobIds) {
+          await runManager.updateProgress(jobId, { message: `${message} (${jobs.length} pages in one run)` });
+        }
+      },
+    });
+    run
+      .then(() => runManager.recordApifyRun(jobs.length))
+      .catch((error) => {
+        workerLogger.error(`[Worker] Apify run for ${jobIds.join(', ')} failed: ${error.message}`);
+      })
+      .finally(() => runManager.close());
+
+    for (const job of jobs) {
+      runWithJobContext({ job_id: job.job_id, stage: 'scrape' }, () => this._processJob(job.job_id, job, batch)).catch(
+        (error) => {
+          workerLogger.error(`[Worker] Job ${job.job_id} error: ${error.message}`);
+        }
+      );
+    }
+  }
+
+  async _claimStageTasks(jobManager, stage) {
+    const availableSlots = this.concurrency[stage] - this._activeCount(stage);
+
+    for (let i = 0; i < availableSlots; i++) {
+      try {
+        const taskId = await jobManager.claimStageTask(stage, this.workerId);
+        if (!taskId) {
+          break;
+        }
+
+        const { job_id: jobId } = parseStageTask(taskId);
+        const task = runWithJobContext({ job_id: jobId, stage }, () =>
+          stage === 'analyze' ? this._processAnalysisTask(taskId) : this._processPersistTask(taskId)
+        );
+        task.catch((error) => {
+          workerLogger.error(`[Worker] ${stage} task ${taskId} error: ${error.message}`);
+        });
+      } catch (error) {
+        workerLogger.error(`[Worker] Error claiming ${stage} task: ${error.message}`);
+        break;
+      }
+    }
+  }
+
+  _activeCount(stage) {
+    let count = 0;
+    for (const jobInfo of this.activeJobs.values()) {
+      // Jobs riding along in another job's Apify run don't take a slot of their own
+      if (jobInfo.stage === stage && !jobInfo.batchOf) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  _describeConcurrency() {
+    return Object.entries(this.concurrency)
+      .map(([stage, slots]) => `${stage} x${slots}`)
+      .join(', ');
+  }
+
+  // Waits for active jobs up to WORKER_DRAIN_TIMEOUT_MS, then stops the rest and
+  // puts them back on the queue with their checkpoints
+  async _drain() {
+    if (this.activeJobs.size === 0) {
+      workerLogger.info('[Worker] No active jobs, shutting down');
+      return;
+    }
+
+    const registry = new WorkerRegistry();
+    await registry.heartbeat(this.workerId, { status: 'draining' });
+    await registry.close();
+
+    workerLogger.info(
+      `[Worker] Draining ${this.activeJobs.size} active job(s), waiting up to ${Math.round(config.WORKER_DRAIN_TIMEOUT_MS / 1000)}s`
+    );
+
+    const deadline = Date.now() + config.WORKER_DRAIN_TIMEOUT_MS;
+    while (this.activeJobs.size > 0 && Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, 500));
+    }
+
+    if (this.activeJobs.size === 0) {
+      workerLogger.info('[Worker] All active jobs finished, shutting down');
+      return;
+    }
+
+    const unfinished = [...this.activeJobs.entries()];
+    workerLogger.warn(
+      `[Worker] Drain deadline reached, stopping ${unfinished.length} task(s): ${unfinished.map(([key]) => key).join(', ')}`
+    );
+    for (const jobInfo of this.activeJobs.values()) {
+      jobInfo.controller.abort(SHUTDOWN_REASON);
+    }
+
+    // Give the stopped jobs a moment to reach a stage boundary before handing them back
+    const abortDeadline = Date.now() + 5000;
+    while (this.activeJobs.size > 0 && Date.now() < abortDeadline) {
+      await new Promise((resolve) => setTimeout(resolve, 200));
+    }
+
+    const jobManager = new JobManager();
+    try {
+      for (const [, jobInfo] of unfinished) {
+        if (jobInfo.stage !== 'scrape') {
+          // Stage tasks go back on their own queue, the job keeps running
+          if (await jobManager.releaseStageTask(jobInfo.stage, jobInfo.taskId)) {
+            workerLogger.warn(`[Worker] ${jobInfo.stage} task ${jobInfo.taskId} requeued`);
+          }
+          continue;
+        }
+
+        const jobId = jobInfo.jobId;
+        const released = await jobManager.releaseJob(
+          jobId,
+          this.workerId,
+          `Requeued after worker ${this.workerId} shut down`
+        );
+        if (released) {
+          workerLogger.warn(`[Worker] Job ${jobId} requeued, it will resume from its checkpoint`);
+        } else {
+          workerLogger.info(`[Worker] Job ${jobId} finished while stopping, not requeued`);
+        }
+      }
+    } finally {
+      await jobManager.close();
+    }
+  }
+
+  async _register() {
+    const registry = new WorkerRegistry();
+    try {
+      await registry.register({
+        worker_id: this.workerId,
+        hostname: hostname(),
+        pid: process.pid,
+        capacity: this.concurrency,
+      });
+    } catch (error) {
+      workerLogger.error(`[Worker] Registration failed: ${error.message}`);
+    } finally {
+      await registry.close();
+    }
+  }
+
+  async _sendHeartbeat() {
+    const jobManager = new JobManager();
+    const registry = new WorkerRegistry();
+    try {
+      await jobManager.heartbeat(this.workerId, config.WORKER_HEARTBEAT_TTL_MS);
+      const updated = await registry.heartbeat(this.workerId, { active_jobs: [...this.activeJobs.keys()] });
+      if (!updated) {
+        // Entry was pruned or Redis was flushed, register again
+        await this._register();
+      }
+    } catch (error) {
+      workerLogger.error(`[Worker] Heartbeat failed: ${error.message}`);
+    } finally {
+      await jobManager.close();
+      await registry.close();
+    }
+  }
+
+  async _promoteDelayedJobs() {
+    const jobManager = new JobManager();
+    try {
+      const promoted = await jobManager.promoteDelayedJobs();
+      if (promoted.length > 0) {
+        workerLogger.info(`[Worker] Requeued ${promoted.length} job(s) for retry: ${promoted.join(', ')}`);
+      }
+    } catch (error) {
+      workerLogger.error(`[Worker] Error promoting delayed jobs: ${error.message}`);
+    } finally {
+      await jobManager.close();
+    }
+  }
+
+  async _deliverWebhooks() {
+    this.deliveringWebhooks = true;
+    const dispatcher = new WebhookDispatcher();
+    try {
+      await dispatcher.deliverDue();
+    } catch (error) {
+      workerLogger.error(`[Webhook] Error delivering webhooks: ${error.message}`);
+    } finally {
+      await dispatcher.close();
+      this.deliveringWebhooks = false;
+    }
+  }
+
+  async _failJob(jobManager, jobId, message, errorClass) {
+    const outcome = await jobManager.failJob(jobId, message, errorClass);
+    if (outcome.retried) {
+      workerLogger.warn(`[Worker] Job ${jobId} failed (${errorClass}), retry scheduled at ${outcome.next_retry_at}`);
+    } else if (outcome.dead_lettered) {
+      workerLogger.error(`[Worker] Job ${jobId} exhausted its retries, moved to dead-letter list`);
+    }
+  }
+
+  async _recoverOrphanedJobs() {
+    const jobManager = new JobManager();
+    try {
+      const recovered = await jobManager.recoverOrphanedJobs();
+      if (recovered.length > 0) {
+        workerLogger.warn(`[Worker] Requeued ${recovered.length} orphaned job(s): ${recovered.join(', ')}`);
+      }
+      const recoveredTasks = await jobManager.recoverOrphanedStageTasks();
+      if (recoveredTasks.length > 0) {
+        workerLogger.warn(`[Worker] Requeued ${recoveredTasks.length} orphaned stage task(s): ${recoveredTasks.join(', ')}`);
+      }
+    } catch (error) {
+      workerLogger.error(`[Worker] Error recovering orphaned jobs: ${error.message}`);
+    } finally {
+      await jobManager.close();
+    }
+  }
+
+  async _archiveExpiredJobs() {
+    const jobManager = new JobManager();
+    try {
+      const archived = await jobManager.archiveExpiredJobs(new JobHistoryStore());
+      if (archived > 0) {
+        workerLogger.info(`[History] Moved ${archived} job(s) older than ${config.JOB_RETENTION_DAYS} day(s) out of Redis`);
+      }
+    } catch (error) {
+      workerLogger.error(`[History] Error archiving expired jobs: ${error.message}`);
+    } finally {
+      await jobManager.close();
+    }
+  }
+
+  async _checkCancellations() {
+    const jobManager = new JobManager();
+    try {
+      // Several analyze tasks can belong to the same job, look each job up once
+      const statuses = new Map();
+      for (const jobInfo of this.activeJobs.values()) {
+        if (!jobInfo.controller || jobInfo.controller.signal.aborted) {
+          continue;
+        }
+        const { jobId } = jobInfo;
+        if (!statuses.has(jobId)) {
+          const job = await jobManager.getJob(jobId);
+          statuses.set(jobId, job ? job.status : null);
+        }
+        if (statuses.get(jobId) === 'cancelled') {
+          workerLogger.warn(`[Worker] Job ${jobId} was cancelled, stopping ${jobInfo.stage} work`);
+          jobInfo.controller.abort();
+          if (jobInfo.scraper) {
+            // Stops the provider's run now rather than at its next poll
+            await jobInfo.scraper.cancel();
+          }
+        }
+      }
+    } catch (error) {
+      workerLogger.error(`[Worker] Error checking for cancelled jobs: ${error.message}`);
+    } finally {
+      await jobManager.close();
+    }
+  }
+
+  // Records what the cancelled job had already done, the status stays 'cancelled'
+  async _recordCancellation(jobId, partial) {
+    const jobManager = new JobManager();
+    try {
+      await jobManager.recordCancellation(jobId, partial);
+      workerLogger.info(
+        `[Worker] Job ${jobId} stopped during ${partial.stage} (scraped: ${partial.ads_scraped}, analyzed: ${partial.ads_analyzed}, inserted: ${partial.ads_inserted})`
+      );
+    } finally {
+      await jobManager.close();
+    }
+  }
+
+  async _runScheduler() {
+    const scheduleManager = new ScheduleManager();
+    try {
+      const count = await scheduleManager.enqueueDueSchedules();
+      if (count > 0) {
+        workerLogger.info(`[Scheduler] Queued ${count} scheduled job(s)`);
+      }
+    } catch (error) {
+      workerLogger.error(`[Scheduler] Error enqueuing due schedules: ${error.message}`);
+    } finally {
+      await scheduleManager.close();
+    }
   }
 
   _cleanupCompletedJobs() {
@@ -113,8 +550,27 @@ class SpiderWorker {
     }
   }
 
-  async _processJob(jobId, job) {
-    this.activeJobs.set(jobId, { isResolved: false });
+  // Scrape stage: runs the scrape and hands the ads to the analyze and persist queues as they arrive
+  // batch: the ScrapeBatch whose shared Apify run provides this job's ads
+  async _processJob(jobId, job, batch = null) {
+    const controller = new AbortController();
+    const { signal } = controller;
+    const batchOf = batch && batch.jobs[0].job_id !== jobId ? batch.jobs[0].job_id : null;
+    // scraper is set while the job's own scrape runs, so a cancel can stop it right away
+    const jobInfo = { isResolved: false, controller, stage: 'scrape', jobId, batchOf, scraper: null };
+    this.activeJobs.set(jobId, jobInfo);
+    if (batch) {
+      batch.attach(jobId, signal);
+    }
+
+    // Partial work kept if the job is cancelled midway
+    const partial = {
+      stage: 'scrape',
+      ads_scraped: 0,
+      ads_analyzed: 0,
+      ads_inserted: 0,
+      json_saved: false,
+    };
 
     try {
       workerLogger.info('='.repeat(60));
@@ -126,9 +582,17 @@ class SpiderWorker {
       const jobManager = new JobManager();
       await jobManager.init();
 
-      // Step 1: Scrape with Apify
-      workerLogger.info(`[Worker] Step 1: Scraping with Apify...`);
-      const scraper = new ApifyFacebookScraper(config.APIFY_API_TOKEN);
+      // Stages finished by an earlier attempt are skipped (see requeueJob's resume mode)
+      const checkpoint = (await jobManager.getCheckpoint(jobId)) || { scrape: null, analysis: {}, inserted: {} };
+      if (checkpoint.scrape) {
+        workerLogger.info(
+          `[Worker] Resuming from checkpoint: run ${checkpoint.scrape.run_id}, ${Object.keys(checkpoint.analysis).length} analyzed, ${Object.keys(checkpoint.inserted).length} inserted`
+        );
+      }
+
+      // Step 1: Scrape with the configured provider
+      workerLogger.info(`[Worker] Step 1: Scraping with ${config.SCRAPER_PROVIDER}...`);
+      const scraper = createScraper();
 
       // Enforce max ads limit (safety check for old jobs)
       const maxAds = Math.min(job.max_ads || config.MAX_ADS_PER_BRAND, config.MAX_ADS_PER_BRAND);
@@ -144,17 +608,80 @@ class SpiderWorker {
         });
       };
 
-      let ads;
+      const analyze = Boolean(job.auto_analyze && config.OPENAI_API_KEY);
+      if (!analyze) {
+        workerLogger.warn(`[Worker] Skipping analysis (disabled or no key)`);
+      }
+
+      // Step 2: Each page of scraped ads is stored and queued for analysis as soon as it
+      // arrives, the persist stage picks up once the scrape and all analysis tasks are done
+      const fromBatchRun = Boolean(checkpoint.scrape && checkpoint.scrape.batch);
+      let run = null;
+      let scraped = 0;
+      const onItems = async (items) => {
+        // Reattached to a run shared with other pages. With several countries the actor's count
+        // applies to each country, max_ads still caps the job's ads across all of them.
+        const pageAds = (fromBatchRun ? adsForPage(items, job.page_id) : items).slice(0, Math.max(maxAds - scraped, 0));
+        if (pageAds.length === 0) {
+          return;
+        }
+        if (!run) {
+          run = await jobManager.beginStages(jobId);
+        }
+        await jobManager.appendStageAds(jobId, run, pageAds, { analyze });
+        scraped += pageAds.length;
+        partial.ads_scraped = scraped;
+        await jobManager.updateProgress(jobId, { scraped, pending: scraped });
+      };
+
+      const scrapeStartedAt = Date.now();
+      let ads = null;
+      let apifyUsd = 0;
       try {
-        ads = await scraper.scrape(
-          job.url,
-          maxAds,
-          progressCallback,
-          job.period,
-          job.start_date_formatted,
-          job.end_date_formatted
-        );
+        if (batch) {
+          ads = await batch.adsFor(job, signal);
+          scraped = ads.length;
+          apifyUsd = batch.usdShare(ads.length);
+        } else {
+          jobInfo.scraper = scraper;
+          const result = await scraper.scrape(
+            job.url,
+            maxAds,
+            progressCallback,
+            job.period,
+            job.start_date_formatted,
+            job.end_date_formatted,
+            {
+              signal,
+              resumeRun: checkpoint.scrape,
+              onRunStarted: (runInfo) => jobManager.saveScrapeCheckpoint(jobId, runInfo),
+              filters: job.filters,
+              onItems,
+            }
+          );
+          if (Array.isArray(result)) {
+            // Providers that don't page return all the ads at once
+            await onItems(result);
+          }
+          apifyUsd = scraper.lastRunUsage ? scraper.lastRunUsage.usd : 0;
+          if (!checkpoint.scrape) {
+            await jobManager.recordApifyRun(1);
+          }
+        }
       } catch (scrapeError) {
+        if (scrapeError instanceof JobCancelledError || signal.aborted) {
+          throw scrapeError;
+        }
+        const errorClass = classifyError(scrapeError);
+        if (run) {
+          // Analyze tasks of the ads streamed so far find their run gone and skip the ad. The
+          // retry queues them again, without the ones that were already analyzed.
+          await jobManager.clearStages(jobId);
+        }
+        // Only a run that failed on Apify's side is started over, the retry reattaches to any other
+        if (errorClass === 'apify_run_failed') {
+          await jobManager.clearScrapeCheckpoint(jobId);
+        }
         const errorMsg = scrapeError.message || String(scrapeError);
         let userMsg = `Scraping failed: ${errorMsg}`;
 
@@ -165,56 +692,224 @@ class SpiderWorker {
         }
 
         workerLogger.error(`[Worker] Scraping error: ${errorMsg}`);
-        await jobManager.setFailed(jobId, userMsg);
+        await this._failJob(jobManager, jobId, userMsg, errorClass);
         await jobManager.close();
         this.activeJobs.delete(jobId);
         return;
+      } finally {
+        jobInfo.scraper = null;
       }
 
-      if (!ads || ads.length === 0) {
+      if (scraped === 0) {
         workerLogger.warn(`[Worker] No ads found`);
-        await jobManager.setFailed(jobId, 'No ads found');
+        await this._failJob(jobManager, jobId, 'No ads found', 'no_ads');
         await jobManager.close();
         this.activeJobs.delete(jobId);
         return;
       }
 
-      workerLogger.info(`[Worker] Scraped ${ads.length} ads`);
-      await jobManager.updateProgress(jobId, { scraped: ads.length, pending: ads.length });
+      workerLogger.info(`[Worker] Scraped ${scraped} ads`);
+      await jobManager.updateProgress(jobId, { scraped, pending: scraped });
+      partial.ads_scraped = scraped;
+      throwIfCancelled(signal);
+
+      const metrics = {
+        scrape_ms: Date.now() - scrapeStartedAt,
+        apify_usd: apifyUsd,
+      };
+      // A batched run's ads only arrive once the whole run is done
+      const stages = ads
+        ? await jobManager.startStages(jobId, ads, { analyze, metrics })
+        : await jobManager.finishStages(jobId, run, { metrics });
+      workerLogger.info(`[Worker] Job ${jobId} handed off: ${stages.analyze} ad(s) queued for analysis (${job.analysis_mode})`);
+
+      await jobManager.close();
+    } catch (error) {
+      if (signal.aborted && signal.reason === SHUTDOWN_REASON) {
+        // _drain hands the job back to the queue
+        workerLogger.warn(`[Worker] Job ${jobId} stopped during ${partial.stage} for shutdown`);
+        return;
+      }
+      if (error instanceof JobCancelledError || signal.aborted) {
+        await this._recordCancellation(jobId, partial);
+        return;
+      }
 
-      // Step 2: Auto-Analyze with AI
-      if (job.auto_analyze && config.OPENAI_API_KEY) {
-        workerLogger.info(`[Worker] Step 2: Analyzing with AI (${job.analysis_mode})...`);
-        const analyzer = new AdAnalyzer(config.OPENAI_API_KEY);
+      workerLogger.error(`[Worker] Job ${jobId} failed: ${error.message}`);
+      const jobManager = new JobManager();
+      await jobManager.init();
+      await this._failJob(jobManager, jobId, error.message, classifyError(error));
+      await jobManager.close();
+    } finally {
+      // A job stopped for shutdown is acked by releaseJob, after it is back on the queue
+      if (!(signal.aborted && signal.reason === SHUTDOWN_REASON)) {
+        const jobManager = new JobManager();
+        await jobManager.ackJob(jobId);
+        await jobManager.close();
+      }
+      this.activeJobs.delete(jobId);
+    }
+  }
 
-        for (let i = 0; i < ads.length; i++) {
+  // Analyze stage: one ad. Tasks of cancelled jobs are still counted so the persist
+  // stage runs and records the cancellation.
+  async _processAnalysisTask(taskId) {
+    const { job_id: jobId, run, index } = parseStageTask(taskId);
+    const key = `analyze:${taskId}`;
+    const controller = new AbortController();
+    const { signal } = controller;
+    this.activeJobs.set(key, { isResolved: false, controller, stage: 'analyze', jobId, taskId });
+
+    const jobManager = new JobManager();
+    try {
+      await jobManager.init();
+      if ((await jobManager.getStageRun(jobId)) !== run) {
+        // Requeued, retried or deleted since the task was queued
+        return;
+      }
+
+      const job = await jobManager.getJob(jobId);
+      if (job && job.status === 'running') {
+        const ad = await jobManager.getScrapedAd(jobId, index);
+        if (ad) {
+          const analyzer = new AdAnalyzer(config.OPENAI_API_KEY, signal);
+          const startedAt = Date.now();
           try {
-            await analyzer.analyzeAd(ads[i], job.analysis_mode);
-            if ((i + 1) % 5 === 0) {
-              await jobManager.updateProgress(jobId, { analyzed: i + 1 });
-            }
-          } catch (error) {
-            workerLogger.error(`[Worker] Analysis error for ad ${i}: ${error.message}`);
+            await analyzer.analyzeAd(ad, job.analysis_mode);
+          } finally {
+            analyzer.close();
+          }
+          if (signal.aborted && signal.reason === SHUTDOWN_REASON) {
+            return;
+          }
+          await jobManager.recordStageMetrics(jobId, {
+            tokens: analyzer.totalTokens,
+            whisper_seconds: analyzer.whisperSeconds,
+            analysis_ms: Date.now() - startedAt,
+          });
+          const adKey = ad.ad_archive_id ? String(ad.ad_archive_id) : null;
+          if (adKey && ad.analysis) {
+            await jobManager.saveAnalysisCheckpoint(jobId, adKey, ad.analysis);
           }
         }
+      }
 
-        analyzer.close();
-        workerLogger.info(`[Worker] Analyzed ${ads.length} ads`);
-      } else {
-        workerLogger.warn(`[Worker] Skipping analysis (disabled or no key)`);
+      await this._finishAnalysisTask(jobManager, jobId, run, index);
+    } catch (error) {
+      if (signal.aborted && signal.reason === SHUTDOWN_REASON) {
+        return;
+      }
+      // An ad that can't be analyzed is saved without analysis, same as before the stage split
+      workerLogger.error(`[Worker] Analysis error for job ${jobId} ad ${index}: ${error.message}`);
+      await this._finishAnalysisTask(jobManager, jobId, run, index);
+    } finally {
+      // A task stopped for shutdown is acked by releaseStageTask, after it is back on the queue
+      if (!(signal.aborted && signal.reason === SHUTDOWN_REASON)) {
+        await jobManager.ackStageTask('analyze', taskId);
+      }
+      await jobManager.close();
+      this.activeJobs.delete(key);
+    }
+  }
+
+  async _finishAnalysisTask(jobManager, jobId, run, index) {
+    const counts = await jobManager.completeAnalysisTask(jobId, index);
+    if (!counts.added) {
+      return;
+    }
+
+    if (counts.done % 5 === 0 || counts.finished) {
+      await jobManager.updateProgress(jobId, {
+        analyzed: counts.analyzed,
+        message: `Analyzed ${counts.done}/${counts.total} ads`,
+      });
+    }
+    if (counts.finished) {
+      workerLogger.info(`[Worker] Job ${jobId}: analysis finished, queued for persistence`);
+      await jobManager.enqueuePersist(jobId, run);
+    }
+  }
+
+  // Persist stage: saves JSON and DB rows for the analyzed ads and completes the job
+  async _processPersistTask(taskId) {
+    const { job_id: jobId, run } = parseStageTask(taskId);
+    const key = `persist:${taskId}`;
+    const controller = new AbortController();
+    const { signal } = controller;
+    this.activeJobs.set(key, { isResolved: false, controller, stage: 'persist', jobId, taskId });
+
+    const partial = {
+      stage: 'persist',
+      ads_scraped: 0,
+      ads_analyzed: 0,
+      ads_inserted: 0,
+      json_saved: false,
+    };
+
+    const jobManager = new JobManager();
+    try {
+      await jobManager.init();
+      if ((await jobManager.getStageRun(jobId)) !== run) {
+        return;
+      }
+
+      const job = await jobManager.getJob(jobId);
+      if (!job) {
+        return;
+      }
+
+      // Stored ads are read back a chunk at a time, the job's ads are never all in memory
+      const stages = await jobManager.getStageSummary(jobId);
+      const adCount = stages ? stages.ads : 0;
+      const adChunks = () => this._storedAdChunks(jobManager, jobId, adCount);
+      const media = { video: 0, image: 0, text: 0 };
+      for await (const chunk of adChunks()) {
+        for (const ad of chunk) {
+          media[classifyMedia(ad)]++;
+          if (ad.analysis) {
+            partial.ads_analyzed++;
+          }
+        }
+      }
+      partial.ads_scraped = adCount;
+
+      if (job.status === 'cancelled') {
+        partial.stage = stages && stages.analyze.total > 0 ? 'analyze' : 'persist';
+        throw new JobCancelledError();
+      }
+      if (job.status !== 'running') {
+        return;
       }
 
+      // Analyze tasks report progress concurrently, settle the count from the stage totals
+      if (stages && stages.analyze.total > 0) {
+        await jobManager.updateProgress(jobId, { analyzed: stages.ads - stages.analyze.pending });
+      }
+
+      workerLogger.info(`[Worker] Persisting job ${jobId}: ${adCount} ads, ${partial.ads_analyzed} analyzed`);
+      const persistStartedAt = Date.now();
+      const checkpoint = await jobManager.getCheckpoint(jobId);
+
       // Step 3: Save JSON
+      let jsonFile = null;
       if (job.save_json) {
         workerLogger.info(`[Worker] Step 3: Saving JSON...`);
-        await this._saveJson(jobId, ads, job.url);
+        partial.stage = 'save_json';
+        jsonFile = await this._saveJson(job, adChunks());
+        partial.json_saved = true;
+        throwIfCancelled(signal);
       }
 
       // Step 4: Save to Database
       let dbSaveResult = null;
       if (job.save_db && config.SUPABASE_URL && config.SUPABASE_KEY) {
         workerLogger.info(`[Worker] Step 4: Saving to database...`);
-        dbSaveResult = await this._saveToDatabase(jobId, ads, jobManager);
+        partial.stage = 'save_db';
+        dbSaveResult = await this._saveToDatabase(jobId, adChunks(), adCount, jobManager, signal, checkpoint.inserted, {
+          byPage: job.kind === 'search',
+        });
+        partial.ads_inserted = dbSaveResult.success;
+        throwIfCancelled(signal);
         await jobManager.updateProgress(jobId, {
           inserted: dbSaveResult.success,
           failed: dbSaveResult.failed,
@@ -224,25 +919,56 @@ class SpiderWorker {
         await jobManager.updateProgress(jobId, { pending: 0 });
       }
 
+      // Read before completing, setCompleted clears the stage data
+      const metrics = await jobManager.getStageMetrics(jobId);
+      metrics.persist_ms = Date.now() - persistStartedAt;
+
       // Complete
-      await jobManager.setCompleted(jobId, {
-        ads_scraped: ads.length,
-        ads_analyzed: ads.filter((a) => a.analysis).length,
+      const completed = await jobManager.setCompleted(jobId, {
+        ads_scraped: adCount,
+        ads_analyzed: partial.ads_analyzed,
         ads_inserted: (await jobManager.getJob(jobId)).progress.inserted,
+        json_file: jsonFile ? jsonFile.filename : null,
+        file_path: jsonFile ? jsonFile.filepath : null,
+        brand_id: dbSaveResult ? dbSaveResult.brand_id || null : null,
+        ad_ids: dbSaveResult ? dbSaveResult.ad_ids || [] : [],
+        ...(dbSaveResult && dbSaveResult.brands ? { brands: dbSaveResult.brands } : {}),
+        usage: {
+          tokens: metrics.tokens || 0,
+          whisper_seconds: Math.round(metrics.whisper_seconds || 0),
+          apify_usd: metrics.apify_usd || 0,
+        },
       });
+      if (!completed) {
+        // Cancelled after the last check, everything was kept
+        partial.stage = 'complete';
+        throw new JobCancelledError();
+      }
+
+      if (job.page_id) {
+        await this._recordPageStats(job, adCount, media, partial.ads_analyzed, metrics);
+      }
 
       // Auto-complete user_request if page_id is available AND ads were successfully saved
       const pageId = job.page_id;
       const adsInserted = dbSaveResult ? dbSaveResult.success : 0;
       if (pageId && config.SUPABASE_URL && config.SUPABASE_KEY && adsInserted > 0) {
         workerLogger.info(`[Worker] Updating user_request and user_brand for page_id: ${pageId}`);
+        // Re-read the job: requesters may have been attached while it was running
+        const finishedJob = await jobManager.getJob(jobId);
+        const requesterIds = [
+          ...new Set(((finishedJob && finishedJob.requesters) || []).map((r) => r.user_id).filter(Boolean)),
+        ];
+
+        // Every request row for the page is answered by this scrape, including rows without a user_id
         await this.markUserRequestComplete(pageId);
-        // Create user_brand relationship and notification (returns userId for later use)
-        const userId = await this.createUserBrandAndNotification(pageId);
-        // Update user_brand.last_scrap only if period is set (Get New Ads)
-        const period = job.period;
-        if (period && userId) {
-          await this.updateUserBrandLastScrap(pageId, userId);
+        if (requesterIds.length === 0) {
+          await this._completeUserRequest(pageId, null, job.period);
+        } else {
+          workerLogger.info(`[Worker] Notifying ${requesterIds.length} requester(s) for page_id: ${pageId}`);
+          for (const requesterId of requesterIds) {
+            await this._completeUserRequest(pageId, requesterId, job.period);
+          }
         }
       } else if (pageId && !job.save_db) {
         workerLogger.info(`[Worker] Skipping user_request/user_brand update (save_db is false)`);
@@ -250,56 +976,162 @@ class SpiderWorker {
         workerLogger.warn(`[Worker] Skipping user_request/user_brand update (no ads were inserted)`);
       }
 
-      await jobManager.close();
       workerLogger.info(`[Worker] Job ${jobId} completed!`);
     } catch (error) {
+      if (signal.aborted && signal.reason === SHUTDOWN_REASON) {
+        workerLogger.warn(`[Worker] Job ${jobId} stopped during ${partial.stage} for shutdown`);
+        return;
+      }
+      if (error instanceof JobCancelledError || signal.aborted) {
+        await this._recordCancellation(jobId, partial);
+        return;
+      }
+
+      // A retry scrapes again from the checkpointed Apify run and skips analyzed and inserted ads
       workerLogger.error(`[Worker] Job ${jobId} failed: ${error.message}`);
-      const jobManager = new JobManager();
-      await jobManager.init();
-      await jobManager.setFailed(jobId, error.message);
+      await this._failJob(jobManager, jobId, error.message, classifyError(error));
+    } finally {
+      if (!(signal.aborted && signal.reason === SHUTDOWN_REASON)) {
+        await jobManager.ackStageTask('persist', taskId);
+      }
       await jobManager.close();
+      this.activeJobs.delete(key);
+    }
+  }
+
+  // Feeds POST /api/jobs/estimate, a failure here doesn't fail the job
+  async _recordPageStats(job, ads, media, analyzedAds, metrics) {
+    const pageStats = new PageStatsManager();
+    try {
+      await pageStats.recordJob(job.page_id, {
+        ads_requested: Math.min(job.max_ads || config.MAX_ADS_PER_BRAND, config.MAX_ADS_PER_BRAND),
+        ads,
+        media,
+        analyzed_ads: analyzedAds,
+        analysis_mode: job.analysis_mode || 'balanced',
+        metrics,
+      });
+    } catch (error) {
+      workerLogger.error(`[Worker] Error recording page stats for ${job.page_id}: ${error.message}`);
     } finally {
-      this.activeJobs.delete(jobId);
+      await pageStats.close();
     }
   }
 
-  async _saveJson(jobId, ads, url) {
-    const pageIdMatch = url.match(/view_all_page_id=(\d+)/);
-    const pageId = pageIdMatch ? pageIdMatch[1] : 'unknown';
+  // Written chunk by chunk, the file reads the same as JSON.stringify(ads, null, 2)
+  async _saveJson(job, chunks) {
+    const pageIdMatch = job.url.match(/view_all_page_id=(\d+)/);
+    let name = pageIdMatch ? pageIdMatch[1] : 'unknown';
+    if (job.kind === 'search' && job.search) {
+      name = `search_${job.search.query.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40)}`;
+    }
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-    const filename = `${pageId}_${timestamp}.json`;
+    const filename = `${name}_${timestamp}.json`;
     const filepath = join(config.DATA_DIR, filename);
 
     if (!existsSync(config.DATA_DIR)) {
       mkdirSync(config.DATA_DIR, { recursive: true });
     }
 
-    await writeFile(filepath, JSON.stringify(ads, null, 2), 'utf-8');
+    const file = await open(filepath, 'w');
+    try {
+      let count = 0;
+      await file.write('[');
+      for await (const chunk of chunks) {
+        for (const ad of chunk) {
+          await file.write(`${count > 0 ? ',' : ''}\n  ${JSON.stringify(ad, null, 2).replace(/\n/g, '\n  ')}`);
+          count++;
+        }
+      }
+      await file.write(count > 0 ? '\n]' : ']');
+    } finally {
+      await file.close();
+    }
     workerLogger.info(`[Worker] Saved: ${filename}`);
+    return { filename, filepath };
   }
 
-  async _saveToDatabase(jobId, ads, jobManager) {
+  // byPage saves each page's ads under its own brand, for search jobs. The ads come in chunks,
+  // each saved before the next is read, with total the number of ads across all chunks.
+  async _saveToDatabase(jobId, chunks, total, jobManager, signal = null, inserted = {}, { byPage = false } = {}) {
     const storage = new SupabaseStorage(config.SUPABASE_URL, config.SUPABASE_KEY);
+    const result = { success: 0, failed: 0, ad_ids: [], brand_id: null, cancelled: false };
+    const brands = new Map();
 
     try {
-      const progressCallback = async (current, total, success, failed) => {
-        await jobManager.updateProgress(jobId, {
-          inserted: success,
-          failed,
-          pending: total - (success + failed),
-        });
+      const checkpoint = {
+        inserted,
+        onSaved: (adKey, adId) => jobManager.saveInsertCheckpoint(jobId, adKey, adId),
       };
 
-      const result = await storage.saveRawAdsBatch(ads, progressCallback);
+      for await (const ads of chunks) {
+        const { success, failed } = result;
+        const progressCallback = async (current, chunkTotal, chunkSuccess, chunkFailed) => {
+          await jobManager.updateProgress(jobId, {
+            inserted: success + chunkSuccess,
+            failed: failed + chunkFailed,
+            pending: total - (success + chunkSuccess + failed + chunkFailed),
+          });
+        };
+
+        const saved = byPage
+          ? await storage.saveAdsByPage(ads, progressCallback, signal, checkpoint)
+          : await storage.saveRawAdsBatch(ads, progressCallback, signal, checkpoint);
+        result.success += saved.success;
+        result.failed += saved.failed;
+        result.ad_ids.push(...(saved.ad_ids || []));
+        result.brand_id = result.brand_id || saved.brand_id || null;
+        for (const brand of saved.brands || []) {
+          const merged = brands.get(brand.page_id);
+          if (merged) {
+            merged.brand_id = merged.brand_id || brand.brand_id;
+            merged.ads += brand.ads;
+            merged.inserted += brand.inserted;
+            merged.failed += brand.failed;
+          } else {
+            brands.set(brand.page_id, { ...brand });
+          }
+        }
+        if (saved.error) {
+          result.error = saved.error;
+        }
+        if (saved.cancelled) {
+          result.cancelled = true;
+          break;
+        }
+      }
+
+      if (byPage) {
+        result.brands = [...brands.values()];
+      }
       return result;
     } catch (error) {
       workerLogger.error(`[Worker] Save to DB error: ${error.message}`);
-      return { success: 0, failed: ads.length, error: error.message };
+      return { success: result.success, failed: total - result.success, error: error.message };
     } finally {
       storage.close();
     }
   }
 
+  // A job's stored ads in scrape order, PERSIST_CHUNK_SIZE at a time
+  async *_storedAdChunks(jobManager, jobId, total) {
+    const size = Math.max(config.PERSIST_CHUNK_SIZE, 1);
+    for (let start = 0; start < total; start += size) {
+      yield jobManager.getScrapedAds(jobId, start, Math.min(size, total - start));
+    }
+  }
+
+  // Brand link and notification for one requester, once the page's requests are marked complete.
+  // Without a userId, the first request for the page is used.
+  async _completeUserRequest(pageId, userId, period) {
+    // Create user_brand relationship and notification (returns userId for later use)
+    const notifiedUserId = await this.createUserBrandAndNotification(pageId, userId);
+    // Update user_brand.last_scrap only if period is set (Get New Ads)
+    if (period && notifiedUserId) {
+      await this.updateUserBrandLastScrap(pageId, notifiedUserId);
+    }
+  }
+
   async markUserRequestComplete(pageId) {
     try {
       const url = `${config.SUPABASE_URL.replace(/\/$/, '')}/rest/v1/ads_scrape_request`;
@@ -327,7 +1159,7 @@ class SpiderWorker {
     }
   }
 
-  async createUserBrandAndNotification(pageId) {
+  async createUserBrandAndNotification(pageId, requesterId = null) {
     try {
       const baseUrl = config.SUPABASE_URL.replace(/\/$/, '');
       const headers = {
@@ -342,6 +1174,9 @@ class SpiderWorker {
         page_id: `eq.${pageId}`,
         select: 'id,user_id,created_at',
       };
+      if (requesterId) {
+        requestParams.user_id = `eq.${requesterId}`;
+      }
 
       const requestResponse = await axios.get(requestUrl, {
         headers,
@@ -355,14 +1190,15 @@ class SpiderWorker {
       }
 
       const requestsData = requestResponse.data;
-      if (!requestsData || requestsData.length === 0) {
+      // Requesters attached through the jobs API may not have an ads_scrape_request row
+      if ((!requestsData || requestsData.length === 0) && !requesterId) {
         workerLogger.warn(`[Worker] No user_request found for page_id: ${pageId}`);
         return;
       }
 
-      const requestData = requestsData[0];
-      const userId = requestData.user_id;
-      const createdAt = requestData.created_at;
+      const requestData = requestsData && requestsData.length > 0 ? requestsData[0] : {};
+      const userId = requestData.user_id || requesterId;
+      const createdAt = requestData.created_at || new Date().toISOString();
 
       if (!userId) {
         workerLogger.warn(`[Worker] No user_id in user_request for page_id: ${pageId}`);
@@ -556,22 +1392,25 @@ async function main() {
 
   const worker = new SpiderWorker();
 
-  // Handle graceful shutdown
-  process.on('SIGINT', () => {
-    workerLogger.info('\n[Worker] Shutting down...');
+  // Handle graceful shutdown: stop taking jobs and drain the active ones
+  const shutdown = (signal) => {
+    if (!worker.running) {
+      workerLogger.warn(`\n[Worker] ${signal} received again, exiting without draining`);
+      process.exit(1);
+    }
+    workerLogger.info(`\n[Worker] ${signal} received, shutting down...`);
     worker.running = false;
-    setTimeout(() => process.exit(0), 5000);
-  });
+    // Safety net in case draining itself hangs
+    setTimeout(() => process.exit(1), config.WORKER_DRAIN_TIMEOUT_MS + 30000).unref();
+  };
 
-  process.on('SIGTERM', () => {
-    workerLogger.info('\n[Worker] Shutting down...');
-    worker.running = false;
-    setTimeout(() => process.exit(0), 5000);
-  });
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
 
   // Start the worker loop
   workerLogger.info('Entering worker main loop...');
   await worker.run();
+  process.exit(0);
 }
 
 main().catch((error) => {